@@ -0,0 +1,259 @@
+const axios = require("axios");
+
+// -------------------- AI PROVIDERS --------------------
+// Provider layer behind askAI / checkImageNSFW.
+//
+// AI_PROVIDERS="gemini,openai,local"   failover order (default)
+// AI_PROVIDERS="stub"                  offline testing, no network
+//
+// gemini   GEMINI_KEY, GEMINI_MODEL, GEMINI_MODEL_CHEAP, GEMINI_VISION_MODEL
+// openai   OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_MODEL_CHEAP, OPENAI_VISION_MODEL
+// local    LOCAL_AI_URL (Ollama / llama.cpp, e.g. http://127.0.0.1:11434/v1),
+//          LOCAL_AI_KEY, LOCAL_AI_MODEL, LOCAL_AI_MODEL_CHEAP, LOCAL_AI_VISION_MODEL
+// stub     AI_STUB_RESPONSE (optional fixed answer)
+//
+// Every task maps to a model tier (cheap / strong / vision).
+// AI_MODEL_<TASK>="provider:model" puts a specific model first for that task,
+// e.g. AI_MODEL_CHAT="openai:gpt-4o".
+
+const TASK_TIERS = {
+  classify: "cheap",   // detectMessageType
+  intent: "cheap",     // intent parsing, picking search results
+  chat: "strong",      // generalReply, DM assistant
+  game: "strong",      // quiz / guess game generation
+  analysis: "strong",  // group points & suggestions
+  summary: "cheap",    // DM memory compaction
+  vision: "vision",    // image moderation
+  default: "strong"
+};
+
+const RATE_LIMIT_COOLDOWN = 60 * 1000; // 429 without Retry-After
+const ERROR_COOLDOWN = 15 * 1000;      // network / 5xx errors
+
+// -------------------- GEMINI --------------------
+function geminiProvider(env) {
+  const key = env.GEMINI_KEY;
+  const strong = env.GEMINI_MODEL || "gemma-3-27b-it";
+
+  return {
+    name: "gemini",
+    enabled: !!key,
+    models: {
+      cheap: env.GEMINI_MODEL_CHEAP || strong,
+      strong,
+      vision: env.GEMINI_VISION_MODEL || "gemini-3.1-flash-lite-preview"
+    },
+
+    async generate({ model, prompt, image, temperature, timeout }) {
+      const parts = [{ text: prompt }];
+
+      if (image) {
+        parts.push({ inline_data: { mime_type: image.mimeType, data: image.data } });
+      }
+
+      const { data } = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${key}`,
+        {
+          contents: [{ parts }],
+          generationConfig: { temperature, topP: 0 }
+        },
+        { timeout }
+      );
+
+      return {
+        text: data?.candidates?.[0]?.content?.parts?.[0]?.text || "",
+        usage: {
+          input: data?.usageMetadata?.promptTokenCount,
+          output: data?.usageMetadata?.candidatesTokenCount
+        }
+      };
+    }
+  };
+}
+
+// -------------------- OPENAI COMPATIBLE --------------------
+// OpenAI itself, Ollama, llama.cpp server, OpenRouter, ...
+function openAICompatibleProvider(name, { baseUrl, key, strong, cheap, vision }) {
+  return {
+    name,
+    enabled: !!baseUrl && !!strong,
+    models: { cheap: cheap || strong, strong, vision },
+
+    async generate({ model, prompt, image, temperature, timeout }) {
+      const content = image
+        ? [
+            { type: "text", text: prompt },
+            { type: "image_url", image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+          ]
+        : prompt;
+
+      const { data } = await axios.post(
+        `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        {
+          model,
+          messages: [{ role: "user", content }],
+          temperature
+        },
+        {
+          timeout,
+          headers: key ? { Authorization: `Bearer ${key}` } : {}
+        }
+      );
+
+      return {
+        text: data?.choices?.[0]?.message?.content || "",
+        usage: {
+          input: data?.usage?.prompt_tokens,
+          output: data?.usage?.completion_tokens
+        }
+      };
+    }
+  };
+}
+
+// -------------------- STUB --------------------
+// Deterministic answers so the bot runs without any network access
+function stubProvider(env) {
+  return {
+    name: "stub",
+    enabled: true,
+    models: { cheap: "stub", strong: "stub", vision: "stub" },
+
+    async generate({ task }) {
+      if (env.AI_STUB_RESPONSE) return { text: env.AI_STUB_RESPONSE };
+      if (task === "vision") return { text: "CATEGORY: SAFE\nREASON: stub provider" };
+      if (task === "chat") return { text: "🧪 Stub reply (AI_PROVIDERS=stub)" };
+      return { text: "{}" };
+    }
+  };
+}
+
+function buildProviders(env) {
+  return {
+    gemini: geminiProvider(env),
+    openai: openAICompatibleProvider("openai", {
+      baseUrl: env.OPENAI_API_KEY ? (env.OPENAI_BASE_URL || "https://api.openai.com/v1") : null,
+      key: env.OPENAI_API_KEY,
+      strong: env.OPENAI_MODEL || "gpt-4o-mini",
+      cheap: env.OPENAI_MODEL_CHEAP,
+      vision: env.OPENAI_VISION_MODEL || env.OPENAI_MODEL || "gpt-4o-mini"
+    }),
+    local: openAICompatibleProvider("local", {
+      baseUrl: env.LOCAL_AI_URL,
+      key: env.LOCAL_AI_KEY,
+      strong: env.LOCAL_AI_MODEL || "llama3.1",
+      cheap: env.LOCAL_AI_MODEL_CHEAP,
+      vision: env.LOCAL_AI_VISION_MODEL // no vision unless configured
+    }),
+    stub: stubProvider(env)
+  };
+}
+
+// Rough estimate when a provider doesn't report token usage
+const estimateTokens = text => Math.ceil((text || "").length / 4);
+
+// onUsage({ task, provider, model, inputTokens, outputTokens }) runs after every successful call
+function createAIClient({ env = process.env, log = console.error, onUsage = null } = {}) {
+  const providers = buildProviders(env);
+
+  const order = (env.AI_PROVIDERS || "gemini,openai,local")
+    .split(",")
+    .map(p => p.trim().toLowerCase())
+    .filter(p => providers[p]?.enabled);
+
+  const cooldowns = {}; // provider -> timestamp until it is skipped
+
+  // Ordered { provider, model } list for a task
+  function candidates(task) {
+    const tier = TASK_TIERS[task] || TASK_TIERS.default;
+    const list = [];
+
+    const override = env[`AI_MODEL_${task.toUpperCase()}`];
+
+    if (override) {
+      const [name, ...model] = override.split(":");
+      const provider = providers[name.trim().toLowerCase()];
+
+      if (provider?.enabled && model.length) {
+        list.push({ provider, model: model.join(":").trim() });
+      }
+    }
+
+    for (const name of order) {
+      const provider = providers[name];
+      const model = provider.models[tier];
+
+      if (!model) continue;
+      if (list.some(c => c.provider === provider && c.model === model)) continue;
+
+      list.push({ provider, model });
+    }
+
+    // providers cooling down go last instead of being dropped
+    const now = Date.now();
+    return [
+      ...list.filter(c => !(cooldowns[c.provider.name] > now)),
+      ...list.filter(c => cooldowns[c.provider.name] > now)
+    ];
+  }
+
+  function coolDown(name, err) {
+    const status = err.response?.status;
+    const retryAfter = Number(err.response?.headers?.["retry-after"]);
+
+    if (status === 429) {
+      cooldowns[name] = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : RATE_LIMIT_COOLDOWN);
+    } else if (!status || status >= 500) {
+      cooldowns[name] = Date.now() + ERROR_COOLDOWN;
+    }
+  }
+
+  // Throws when every provider failed
+  async function ask(prompt, { task = "default", image = null, temperature = 0, timeout = 120000 } = {}) {
+    const list = candidates(task);
+
+    if (!list.length) {
+      throw new Error(`No AI provider configured for task "${task}" (AI_PROVIDERS=${env.AI_PROVIDERS || "gemini,openai,local"})`);
+    }
+
+    let lastError;
+
+    for (const { provider, model } of list) {
+      try {
+        const { text, usage = {} } = await provider.generate({ task, model, prompt, image, temperature, timeout });
+
+        if (!text) throw new Error("Empty response");
+
+        delete cooldowns[provider.name];
+
+        onUsage?.({
+          task,
+          provider: provider.name,
+          model,
+          inputTokens: usage.input ?? estimateTokens(prompt),
+          outputTokens: usage.output ?? estimateTokens(text)
+        });
+
+        return text;
+      } catch (err) {
+        lastError = err;
+        coolDown(provider.name, err);
+        log(`AI ${provider.name}/${model} (${task})`, err);
+      }
+    }
+
+    throw lastError;
+  }
+
+  function describe() {
+    return order.map(name => ({
+      name,
+      models: providers[name].models,
+      coolingDown: cooldowns[name] > Date.now()
+    }));
+  }
+
+  return { ask, describe, providers: order };
+}
+
+module.exports = { createAIClient, TASK_TIERS };
@@ -0,0 +1,168 @@
+// -------------------- AI JSON SCHEMA --------------------
+// Small JSON-Schema subset used to check AI replies (see askAIJson in index.js).
+//
+// Supported keywords:
+//   type ("object" | "array" | "string" | "number" | "integer" | "boolean" | "null", or a list)
+//   properties, required, additionalProperties (schema for every other key)
+//   items, minItems, maxItems
+//   enum, minimum, maximum, default
+//
+// {
+//   type: "object",
+//   properties: { episode: { type: "integer", minimum: 1, default: 1 } },
+//   required: ["episode"]
+// }
+
+// Pull the first JSON value out of a reply (code fences, text around it...)
+function extractJson(text) {
+  if (!text) throw new Error("Empty reply");
+
+  const clean = text.replace(/```json|```/gi, "").trim();
+
+  try {
+    return JSON.parse(clean);
+  } catch {}
+
+  const start = clean.search(/[[{]/);
+  if (start === -1) throw new Error("Reply contains no JSON");
+
+  const open = clean[start];
+  const close = open === "{" ? "}" : "]";
+  const end = clean.lastIndexOf(close);
+
+  if (end <= start) throw new Error("Reply contains unterminated JSON");
+
+  try {
+    return JSON.parse(clean.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Fix the usual small mistakes ("5" for 5, "true" for true, missing defaults)
+function coerce(value, schema = {}) {
+  const types = [].concat(schema.type || []);
+
+  if (typeof value === "string" && !types.includes("string")) {
+    const trimmed = value.trim();
+
+    if ((types.includes("number") || types.includes("integer")) && trimmed !== "" && !isNaN(trimmed)) {
+      return Number(trimmed);
+    }
+    if (types.includes("boolean") && /^(true|false)$/i.test(trimmed)) {
+      return trimmed.toLowerCase() === "true";
+    }
+    if (types.includes("null") && /^(null|none|)$/i.test(trimmed)) {
+      return null;
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const result = { ...value };
+
+    for (const [key, prop] of Object.entries(schema.properties || {})) {
+      if (result[key] === undefined && prop.default !== undefined) {
+        result[key] = structuredClone(prop.default);
+      } else if (result[key] !== undefined) {
+        result[key] = coerce(result[key], prop);
+      }
+    }
+
+    if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      for (const key of Object.keys(result)) {
+        if (!schema.properties?.[key]) result[key] = coerce(result[key], schema.additionalProperties);
+      }
+    }
+
+    return result;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => coerce(item, schema.items));
+  }
+
+  return value;
+}
+
+// Returns a list of readable errors, empty when valid
+function validate(value, schema = {}, where = "$") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${where} must be ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where} needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where} allows at most ${schema.maxItems} item(s)`);
+
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${where}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${where}.${key} is required`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const prop = schema.properties?.[key];
+
+      if (prop) {
+        errors.push(...validate(item, prop, `${where}.${key}`));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validate(item, schema.additionalProperties, `${where}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Typed empty value for a schema (used when every retry failed)
+function defaultFor(schema = {}) {
+  if (schema.default !== undefined) return structuredClone(schema.default);
+
+  const type = [].concat(schema.type || "null")[0];
+
+  switch (type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, prop]) => [key, defaultFor(prop)])
+      );
+    case "array": return [];
+    case "string": return "";
+    case "number":
+    case "integer": return schema.minimum ?? 0;
+    case "boolean": return false;
+    default: return null;
+  }
+}
+
+module.exports = { extractJson, coerce, validate, defaultFor };
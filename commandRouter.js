@@ -0,0 +1,206 @@
+const fs = require("fs");
+const path = require("path");
+
+// -------------------- COMMAND ROUTER --------------------
+// Registry for group commands living in ./commands.
+//
+// A command module exports:
+// {
+//   name: "kick",
+//   aliases: ["remove"],          // optional
+//   toggle: "waifu",              // optional, defaults to name if it's a toggled command
+//   handlesOnOff: true,           // optional, ".mute on/off" goes to run() instead of the toggle handler
+//   minArgs: 1,                   // optional, sends usage when missing
+//   requireMention: true,         // optional, sends usage when nobody is tagged
+//   disabledText: "❌ ...",       // optional, reply when the toggle is off
+//   run: async (ctx) => {}
+// }
+//
+// usage / adminOnly / adminPromote come from nonToggledCommands,
+// the module can only fill in what the metadata doesn't define.
+//
+// t(chatId, key, vars) translates the router's own replies (see i18n.js),
+// modules get it bound to the chat as ctx.t(key, vars).
+
+const DEFAULT_TEXTS = {
+  "common.adminOnly": "❌ Only group admins can use this command.",
+  "common.usage": "❌ Usage:\n{usage}",
+  "common.disabled": "❌ *.{command}* is disabled in this group.",
+  "common.promoteBot": "⚡ Promote the bot to admin to use *.{command}*",
+  "common.error": "⚠️ Something went wrong while running *.{command}*"
+};
+
+const defaultT = (chatId, key, vars = {}) =>
+  (DEFAULT_TEXTS[key] || key).replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+
+function createCommandRouter({
+  toggledCommands,
+  nonToggledCommands,
+  groupCommandsCache,
+  getGroupAdmins,
+  isBotAdmin,               // (groupId, admins) → admins is the list the router just fetched
+  services = {},
+  prefixes = ["."],
+  t = defaultT
+}) {
+  const commands = new Map(); // name -> command
+  const aliases = new Map();  // alias -> name
+
+  function register(command) {
+    if (!command?.name || typeof command.run !== "function") {
+      throw new Error("Command module needs a name and a run() function");
+    }
+
+    const name = command.name.toLowerCase();
+    const meta = nonToggledCommands[name] || {};
+
+    commands.set(name, {
+      ...command,
+      name,
+      category: meta.category || toggledCommands[name]?.category || command.category || "OTHER",
+      usage: meta.usage || command.usage || `.${name}`,
+      adminOnly: meta.adminOnly ?? command.adminOnly ?? false,
+      adminPromote: meta.adminPromote ?? command.adminPromote ?? false,
+      toggle: command.toggle ?? (toggledCommands[name] ? name : null)
+    });
+
+    for (const alias of command.aliases || []) {
+      aliases.set(alias.toLowerCase(), name);
+    }
+  }
+
+  function loadDirectory(dir) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith(".js"))
+      .sort()
+      .forEach(file => register(require(path.join(dir, file))));
+
+    console.log(`🧭 Commands loaded: ${[...commands.keys()].join(", ")}`);
+  }
+
+  function resolve(name) {
+    return commands.get(name) || commands.get(aliases.get(name));
+  }
+
+  // ".note add buy milk" → { name: "note", args: ["add","buy","milk"], argText: "add buy milk" }
+  function parse(text = "") {
+    const prefix = prefixes.find(p => text.startsWith(p));
+    if (!prefix) return null;
+
+    const body = text.slice(prefix.length).trim();
+    const first = body.split(/\s+/)[0] || "";
+    const argText = body.slice(first.length).trim();
+
+    return {
+      prefix,
+      name: first.toLowerCase(),
+      args: argText ? argText.split(/\s+/) : [],
+      argText
+    };
+  }
+
+  // Returns true when the message was handled by a command
+  async function dispatch(sock, msg, text) {
+    const from = msg.key.remoteJid;
+    if (!from?.endsWith("@g.us")) return false;
+
+    const parsed = parse(text);
+    if (!parsed?.name) return false;
+
+    const command = resolve(parsed.name);
+    if (!command) return false;
+
+    // ".waifu on/off" belongs to the toggle handler
+    if (toggledCommands[command.name] && !command.handlesOnOff && /^(on|off)$/i.test(parsed.argText)) return false;
+
+    // ".kick explain" belongs to the command explainer
+    if (/^explain$/i.test(parsed.argText)) return false;
+
+    const sender = msg.key.participant || from;
+    const settings = groupCommandsCache[from] || {};
+
+    const reply = (content, options) =>
+      sock.sendMessage(from, typeof content === "string" ? { text: content } : content, options);
+
+    const usage = () => reply(t(from, "common.usage", { usage: command.usage }));
+
+    // -------------------- TOGGLES --------------------
+    if (settings.bot === "off") return true;
+
+    if (command.toggle && settings[command.toggle] === "off") {
+      await reply(command.disabledText || t(from, "common.disabled", { command: command.toggle }));
+      return true;
+    }
+
+    // -------------------- PERMISSIONS --------------------
+    const fetchedAdmins = await getGroupAdmins(sock, from); // undefined when metadata failed
+    const admins = fetchedAdmins || [];
+    const isAdmin = admins.includes(sender);
+
+    if (command.adminOnly && !isAdmin) {
+      await reply({
+        text: t(from, "common.adminOnly"),
+        mentions: [sender]
+      });
+      return true;
+    }
+
+    if (command.adminPromote && !isBotAdmin(from, fetchedAdmins)) {
+      await reply(t(from, "common.promoteBot", { command: command.name }));
+      return true;
+    }
+
+    // -------------------- ARGUMENTS --------------------
+    const contextInfo = msg.message?.extendedTextMessage?.contextInfo;
+    const mentions = contextInfo?.mentionedJid || [];
+
+    if (parsed.args.length < (command.minArgs || 0)) {
+      await usage();
+      return true;
+    }
+
+    if (command.requireMention && !mentions.length) {
+      await usage();
+      return true;
+    }
+
+    // -------------------- RUN --------------------
+    try {
+      await command.run({
+        sock,
+        msg,
+        from,
+        sender,
+        command: command.name,
+        alias: parsed.name,
+        args: parsed.args,
+        argText: parsed.argText,
+        mentions,
+        quotedParticipant: contextInfo?.participant || null,
+        admins,
+        isAdmin,
+        settings,
+        reply,
+        usage,
+        t: (key, vars) => t(from, key, vars),
+        services
+      });
+    } catch (err) {
+      console.error(`❌ Command .${command.name} failed:`, err);
+      await reply(t(from, "common.error", { command: command.name })).catch(() => {});
+    }
+
+    return true;
+  }
+
+  return {
+    register,
+    loadDirectory,
+    resolve,
+    parse,
+    dispatch,
+    list: () => [...commands.values()]
+  };
+}
+
+module.exports = { createCommandRouter };
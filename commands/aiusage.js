@@ -0,0 +1,51 @@
+// 🤖 AI consumption of the group + daily budget
+// .aiusage
+// .aiusage limit <calls|off>
+const formatTokens = n => n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+
+module.exports = {
+  name: "aiusage",
+
+  async run({ from, args, reply, usage, services }) {
+    const { getAIUsage, setAIGroupLimit } = services;
+
+    // -------------------- SET LIMIT --------------------
+    if ((args[0] || "").toLowerCase() === "limit") {
+      const value = (args[1] || "").toLowerCase();
+      const limit = value === "off" ? 0 : Number(value);
+
+      if (!Number.isInteger(limit) || limit < 0) return usage();
+
+      setAIGroupLimit(from, limit);
+
+      return reply(limit
+        ? `✅ Daily AI budget set to *${limit}* calls.`
+        : "✅ Daily AI budget disabled for this group.");
+    }
+
+    // -------------------- REPORT --------------------
+    const { today, week, members, limit, userLimit } = getAIUsage(from);
+
+    const top = Object.entries(members)
+      .sort((a, b) => (b[1].calls + b[1].requests) - (a[1].calls + a[1].requests))
+      .slice(0, 5);
+
+    const lines = top.map(([jid, c]) =>
+      `• @${jid.split("@")[0]} — ${c.requests} request(s), ${c.calls} call(s)`
+    );
+
+    return reply({
+      text:
+`🤖 *AI usage — today*
+
+📨 Requests: ${today.requests}
+⚙️ Calls: ${today.calls}${limit ? ` / ${limit}` : ""}
+♻️ Cached answers: ${today.cached}
+🔤 Tokens: ${formatTokens(today.inputTokens)} in / ${formatTokens(today.outputTokens)} out
+👤 Member limit: ${userLimit} requests/day
+${lines.length ? `\n👥 *Top members*\n${lines.join("\n")}\n` : ""}
+📅 *Last 7 days*: ${week.calls} calls, ${week.cached} cached, ${formatTokens(week.inputTokens + week.outputTokens)} tokens`,
+      mentions: top.map(([jid]) => jid)
+    });
+  }
+};
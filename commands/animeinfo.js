@@ -0,0 +1,16 @@
+// 🎴 AniList info card of an anime (reply watch / watch <n> to the card to start it)
+// .animeinfo <anime title>
+module.exports = {
+  name: "animeinfo",
+  toggle: "anime",
+  minArgs: 1,
+
+  async run({ sock, msg, from, sender, argText, services }) {
+    const { startAIRequest, handleAnimeInfo } = services;
+
+    const thinkingKey = await startAIRequest(sock, from, from, sender, msg);
+    if (!thinkingKey) return;
+
+    await handleAnimeInfo(sock, from, argText, thinkingKey);
+  }
+};
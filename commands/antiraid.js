@@ -0,0 +1,74 @@
+// 🛡 Anti-raid settings (".antiraid on/off" stays with the toggle handler)
+module.exports = {
+  name: "antiraid",
+  usage: ".antiraid status\n.antiraid set joins <number>\n.antiraid set window <30s>\n.antiraid set lock <30m>\n.antiraid allow @user\n.antiraid unallow @user\n.antiraid unlock",
+  adminOnly: true,
+  toggle: false, // settings can be prepared while anti-raid is off
+  minArgs: 1,
+
+  async run({ sock, from, args, mentions, settings, reply, usage, services }) {
+    const {
+      getGroupProtection,
+      applyProtectionSetting,
+      getRaidAllowlist,
+      setRaidAllowed,
+      getRaidLock,
+      unlockGroupAfterRaid,
+      formatDuration
+    } = services;
+
+    const sub = args[0].toLowerCase();
+
+    // -------------------- STATUS --------------------
+    if (sub === "status") {
+      const config = getGroupProtection(from);
+      const lock = getRaidLock(from);
+      const allowlist = getRaidAllowlist(from);
+
+      return reply(
+`🛡 *Anti-raid*
+
+• Anti-raid: ${settings.antiraid === "on" ? "✅ ON" : "❌ OFF"}
+• Raid lock: ${settings.raidlock === "on" ? "✅ ON" : "❌ OFF"}
+• Trigger: ${config.raidJoins} joins in ${formatDuration(config.raidWindow)}
+• Lock duration: ${formatDuration(config.raidLockTime)}
+• Allowlist: ${allowlist.length} member(s)
+${lock ? `\n🔒 Locked for another ${formatDuration(lock.until - Date.now())}` : ""}`);
+    }
+
+    // -------------------- SET --------------------
+    if (sub === "set") {
+      const field = args[1]?.toLowerCase();
+      if (!field || !args[2]) return usage();
+
+      const error = applyProtectionSetting(from, "antiraid", field, args[2]);
+      if (error) return reply(error);
+
+      return reply(`✅ Anti-raid *${field}* set to *${args[2]}*`);
+    }
+
+    // -------------------- ALLOWLIST --------------------
+    if (sub === "allow" || sub === "unallow") {
+      if (!mentions.length) return usage();
+
+      mentions.forEach(jid => setRaidAllowed(from, jid, sub === "allow"));
+
+      return reply({
+        text: sub === "allow"
+          ? `✅ ${mentions.map(j => `@${j.split("@")[0]}`).join(", ")} won't be removed by anti-raid.`
+          : `🗑 ${mentions.map(j => `@${j.split("@")[0]}`).join(", ")} removed from the anti-raid allowlist.`,
+        mentions
+      });
+    }
+
+    // -------------------- EARLY UNLOCK --------------------
+    if (sub === "unlock") {
+      if (!getRaidLock(from)) return reply("🔓 The group is not raid-locked.");
+
+      await unlockGroupAfterRaid(sock, from);
+      return;
+    }
+
+    return usage();
+  }
+};
@@ -0,0 +1,40 @@
+// ⚖️ Pending appeals of kicked / banned members
+// .appeal                      → list pending appeals
+// .appeal approve <code>       → re-add / unban
+// .appeal deny <code> [note]
+module.exports = {
+  name: "appeal",
+  aliases: ["appeals"],
+
+  async run({ sock, from, sender, args, reply, usage, services }) {
+    const { getGroupAppeals, decideAppeal, formatDuration } = services;
+
+    const sub = (args[0] || "list").toLowerCase();
+
+    // -------------------- LIST --------------------
+    if (sub === "list") {
+      const pending = getGroupAppeals(from);
+
+      if (!pending.length) return reply("⚖️ No pending appeals.");
+
+      const now = Date.now();
+
+      return reply({
+        text: `⚖️ *Pending appeals*\n\n${pending.map(a =>
+          `• *${a.code}* — @${a.user.split("@")[0]} (${a.action}, ${formatDuration(now - a.submittedAt)} ago)\n  💬 ${a.message}`
+        ).join("\n\n")}\n\n✅ .appeal approve <code>\n❌ .appeal deny <code> <note>`,
+        mentions: pending.map(a => a.user)
+      });
+    }
+
+    // -------------------- DECIDE --------------------
+    if (!["approve", "deny"].includes(sub) || !args[1]) return usage();
+
+    const approve = sub === "approve";
+    const error = await decideAppeal(sock, args[1], sender, approve, args.slice(2).join(" "), from);
+
+    if (error) return reply(error);
+
+    return reply(`⚖️ Appeal *${args[1].toUpperCase()}* ${approve ? "approved" : "denied"}.`);
+  }
+};
@@ -0,0 +1,21 @@
+// 🧹 Clear strikes (and temporary bot-ban) of a member
+module.exports = {
+  name: "clearwarns",
+
+  async run({ from, sender, mentions, quotedParticipant, reply, usage, services }) {
+    const { clearUserStrikes, logModAction } = services;
+
+    const targets = mentions.length ? mentions : [quotedParticipant].filter(Boolean);
+    if (!targets.length) return usage();
+
+    targets.forEach(jid => {
+      clearUserStrikes(from, jid);
+      logModAction({ groupId: from, target: jid, actor: sender, module: "manual", action: "clearwarns", reason: "Strikes cleared" });
+    });
+
+    return reply({
+      text: `🧹 Strikes cleared for ${targets.map(j => `@${j.split("@")[0]}`).join(", ")}`,
+      mentions: targets
+    });
+  }
+};
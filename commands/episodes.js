@@ -0,0 +1,16 @@
+// 📺 Episode list of an anime, page by page (reply next / prev / page number to the list)
+// .episodes <anime title> [page <n>]
+module.exports = {
+  name: "episodes",
+  toggle: "anime",
+  minArgs: 1,
+
+  async run({ sock, msg, from, sender, argText, services }) {
+    const { startAIRequest, handleEpisodeList } = services;
+
+    const thinkingKey = await startAIRequest(sock, from, from, sender, msg);
+    if (!thinkingKey) return;
+
+    await handleEpisodeList(sock, from, argText, thinkingKey);
+  }
+};
@@ -0,0 +1,36 @@
+// 🚫 Remove mentioned member(s) from the group
+module.exports = {
+  name: "kick",
+  requireMention: true,
+
+  async run({ sock, from, sender, args, mentions, reply, services }) {
+    const { logModAction, offerAppeal } = services;
+    const reason = args.filter(a => !a.startsWith("@")).join(" ") || "Kicked by admin";
+
+    for (const userId of mentions) {
+      try {
+        await sock.groupParticipantsUpdate(from, [userId], "remove");
+
+        logModAction({ groupId: from, target: userId, actor: sender, module: "kick", action: "kick", reason });
+        await offerAppeal(sock, from, userId, "kick", reason);
+
+        // Find participant name if available, otherwise fallback to ID
+        const metadata = await sock.groupMetadata(from);
+
+        const userName =
+          metadata.participants?.find(p => p.id === userId)?.name ||
+          userId.split("@")[0];
+
+        await reply({
+          text: `🚫 @${userName} has been kicked from the group.`,
+          mentions: [userId]
+        });
+      } catch (err) {
+        // Bot is not admin anymore, or target is an admin
+        console.error(`Kick error for ${userId}:`, err);
+
+        await reply(`⚠️ Cannot remove ${userId.split("@")[0]}. Make sure the bot is an admin!`);
+      }
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// 🌐 Group language: everyone can check it, admins can change it
+// .language
+// .language <code>
+module.exports = {
+  name: "language",
+  aliases: ["lang"],
+
+  async run({ from, args, isAdmin, reply, t, services }) {
+    const { i18n } = services;
+
+    // -------------------- SHOW --------------------
+    if (!args[0]) {
+      const list = i18n.available().map(l => `${l.code} (${l.name})`).join(", ");
+      return reply(t("language.current", { name: t("language.name"), list }));
+    }
+
+    // -------------------- SET --------------------
+    if (!isAdmin) return reply(t("language.adminOnly"));
+
+    if (!i18n.setLanguage(from, args[0])) {
+      return reply(t("language.unknown", {
+        code: args[0],
+        list: i18n.available().map(l => l.code).join(", ")
+      }));
+    }
+
+    return reply(t("language.set", { name: t("language.name") }));
+  }
+};
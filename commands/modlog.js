@@ -0,0 +1,83 @@
+// 📜 Moderation audit log
+// .modlog [@user] [module] [last N]
+// .modlog export <json|csv> [@user] [module]
+const MAX_SHOWN = 50;
+
+module.exports = {
+  name: "modlog",
+  aliases: ["modlogs"],
+
+  async run({ sock, msg, from, args, mentions, reply, services }) {
+    const { queryModLogs, modLogsToCSV } = services;
+
+    const tokens = args.map(a => a.toLowerCase()).filter(a => !a.startsWith("@"));
+
+    // -------------------- PARSE FILTERS --------------------
+    const exportIndex = tokens.indexOf("export");
+    const format = exportIndex !== -1 ? (tokens[exportIndex + 1] || "json") : null;
+
+    if (format && !["json", "csv"].includes(format)) {
+      return reply("❌ Export format must be *json* or *csv*");
+    }
+
+    let limit = 10;
+    let moduleFilter = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (token === "export" || token === format) continue;
+      if (token === "last") continue;
+
+      if (/^\d+$/.test(token)) {
+        limit = Math.min(Number(token), MAX_SHOWN);
+        continue;
+      }
+
+      moduleFilter = token;
+    }
+
+    const target = mentions[0] || null;
+
+    // -------------------- EXPORT --------------------
+    if (format) {
+      const entries = queryModLogs(from, { target, module: moduleFilter });
+
+      if (!entries.length) return reply("📜 No moderation actions match these filters.");
+
+      const stamp = new Date().toISOString().slice(0, 10);
+
+      await sock.sendMessage(from, {
+        document: Buffer.from(format === "csv" ? modLogsToCSV(entries) : JSON.stringify(entries, null, 2)),
+        mimetype: format === "csv" ? "text/csv" : "application/json",
+        fileName: `modlog-${stamp}.${format}`,
+        caption: `📜 ${entries.length} moderation action(s)`
+      }, { quoted: msg });
+
+      return;
+    }
+
+    // -------------------- CHAT VIEW --------------------
+    const entries = queryModLogs(from, { target, module: moduleFilter, limit });
+
+    if (!entries.length) return reply("📜 No moderation actions match these filters.");
+
+    const people = new Set();
+
+    const lines = entries.map(e => {
+      const when = e.timestamp.slice(0, 16).replace("T", " ");
+      const who = e.target ? `@${e.target.split("@")[0]}` : "group";
+      const by = e.actor === "bot" ? "bot" : `@${e.actor.split("@")[0]}`;
+
+      if (e.target) people.add(e.target);
+      if (e.actor !== "bot") people.add(e.actor);
+
+      return `• ${when} — *${e.action}* ${who} [${e.module}] by ${by}\n  ${e.reason}`;
+    });
+
+    return reply({
+      text: `📜 *Moderation log* (last ${entries.length})\n\n${lines.join("\n")}`,
+      mentions: [...people]
+    });
+  }
+};
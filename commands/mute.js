@@ -0,0 +1,84 @@
+// 🔇 Mute the bot for the whole group, or mute members so their messages are deleted
+// .mute [status] / .mute on / .mute off / .mute 2h / .mute @user 30m
+module.exports = {
+  name: "mute",
+  usage: ".mute on/off / .mute 2h / .mute @user 30m",
+  adminOnly: true,
+  toggle: false,       // the mute state itself is the toggle
+  handlesOnOff: true,  // on/off also start or clear the expiry timer
+
+  async run({ sock, from, sender, args, mentions, admins, reply, services }) {
+    const {
+      parseDuration,
+      formatDuration,
+      applySanction,
+      isGroupMuted,
+      muteGroup,
+      unmuteGroup,
+      getMuteUntil,
+      MAX_MUTE_DURATION,
+      MAX_SANCTION_DURATION
+    } = services;
+
+    // -------------------- MEMBER MUTE --------------------
+    if (mentions.length) {
+      const raw = args.find(a => !a.startsWith("@") && parseDuration(a));
+      const duration = raw ? parseDuration(raw) : null;
+
+      if (!duration) return reply("❌ Usage: .mute @user <duration>\nExample: .mute @user 30m");
+      if (duration > MAX_SANCTION_DURATION) return reply("❌ Maximum member mute is 30 days.");
+
+      for (const target of mentions) {
+        if (admins.includes(target)) {
+          await reply({
+            text: `❌ @${target.split("@")[0]} is an admin and can't be muted.`,
+            mentions: [target]
+          });
+          continue;
+        }
+
+        await applySanction(sock, from, "mute", target, duration, sender);
+      }
+      return;
+    }
+
+    const arg = (args[0] || "status").toLowerCase();
+
+    // -------------------- STATUS --------------------
+    if (arg === "status") {
+      const until = getMuteUntil(from);
+
+      return reply(isGroupMuted(from)
+        ? `🔇 Bot is muted${until ? ` for another *${formatDuration(until - Date.now())}*` : ""}.\n\nUse *.mute off* to unmute.`
+        : "🔊 Bot is not muted.\n\nUse *.mute on* or *.mute 2h*");
+    }
+
+    // -------------------- UNMUTE --------------------
+    if (arg === "off") {
+      if (!isGroupMuted(from)) return reply("🔊 Bot is not muted.");
+
+      await unmuteGroup(sock, from, sender);
+      return reply("🔊 Bot unmuted. Commands and notifications are back on.");
+    }
+
+    // -------------------- BOT MUTE --------------------
+    const duration = arg === "on" ? null : parseDuration(arg);
+
+    if (arg !== "on" && !duration) {
+      return reply("❌ Usage: .mute on / .mute off / .mute <duration>\nExample: .mute 30m, .mute 2h, .mute 1d");
+    }
+
+    if (duration > MAX_MUTE_DURATION) return reply("❌ Maximum mute duration is 7 days.");
+
+    await muteGroup(sock, from, sender, duration);
+
+    return reply(
+`🔇 *Bot muted*${duration ? ` for *${formatDuration(duration)}*` : ""}
+
+• Member commands are ignored
+• Games, recommendations and nudges are paused
+• Protection keeps running silently
+
+Use *.mute off* to unmute.`);
+  }
+};
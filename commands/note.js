@@ -0,0 +1,91 @@
+// 📝 Group notepad
+module.exports = {
+  name: "note",
+  aliases: ["notes"],
+  minArgs: 1,
+
+  async run({ sock, from, sender, args, reply, usage, services }) {
+    const { BACKEND_URL } = services;
+    const subCommand = args[0].toLowerCase();
+
+    try {
+      // -------------------- ADD NOTE --------------------
+      if (subCommand === "add") {
+        const noteText = args.slice(1).join(" ");
+        if (!noteText) return reply("❌ Please provide note text.");
+
+        const res = await fetch(`${BACKEND_URL}addNote.php`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            group_id: from,
+            admin_id: sender,
+            text: noteText
+          })
+        });
+
+        const data = await res.json();
+
+        return reply(data.success
+          ? `✅ Note added successfully (ID: ${data.note_id}).`
+          : "⚠️ Failed to add note.");
+      }
+
+      // -------------------- LIST NOTES --------------------
+      if (subCommand === "list") {
+        const res = await fetch(`${BACKEND_URL}getNotes.php?group_id=${encodeURIComponent(from)}`);
+        const data = await res.json();
+
+        if (!data.success || !data.notes.length) {
+          return reply("📝 No notes found for this group.");
+        }
+
+        const groupMeta = await sock.groupMetadata(from);
+        const groupName = groupMeta.subject;
+
+        let message = `╭───〔 📝 *${groupName} Notepad* 〕───╮\n\n`;
+        const mentions = [];
+
+        for (const note of data.notes) {
+          const noteText = note.text.replace(/@(\d{5,15})/g, (_, id) => {
+            mentions.push(`${id}@s.whatsapp.net`);
+            return `@${id}`;
+          });
+
+          message += `✦ *Note ID:* ${note.id}\n`;
+          message += `📅 *Date:* ${note.date}\n`;
+          message += `📝 ${noteText}\n`;
+          message += `──────────────────\n`;
+        }
+
+        message += `╰───────────────╯`;
+
+        return reply({ text: message, mentions });
+      }
+
+      // -------------------- DELETE NOTE --------------------
+      if (subCommand === "delete" || subCommand === "remove") {
+        const noteId = args[1];
+        if (!noteId) return reply("❌ Please provide note ID to delete.");
+
+        const res = await fetch(`${BACKEND_URL}deleteNote.php`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ group_id: from, note_id: noteId })
+        });
+
+        const data = await res.json();
+
+        return reply(data.success
+          ? `✅ Note ID ${noteId} deleted.`
+          : "⚠️ Failed to delete note.");
+      }
+
+      return usage();
+
+    } catch (err) {
+      console.error("❌ Group notepad error:", err);
+      await reply("⚠️ Error managing group notes.");
+    }
+  }
+};
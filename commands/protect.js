@@ -0,0 +1,48 @@
+// 🛡 Per-group protection thresholds
+// .protect set antiflood limit 8 window 10s
+module.exports = {
+  name: "protect",
+  usage: ".protect show\n.protect set <module> <setting> <value> [<setting> <value>...]\n.protect reset <module|all>\n\nExample: .protect set antiflood limit 8 window 10s",
+  adminOnly: true,
+  minArgs: 1,
+
+  async run({ from, args, reply, usage, services }) {
+    const { applyProtectionSetting, resetProtectionModule, describeGroupProtection } = services;
+
+    const sub = args[0].toLowerCase();
+    const target = args[1]?.toLowerCase();
+
+    if (sub === "show") {
+      return reply(`🛡 *Protection thresholds* (* = custom)\n\n${describeGroupProtection(from)}`);
+    }
+
+    if (sub === "reset") {
+      if (!target) return usage();
+
+      if (!resetProtectionModule(from, target)) {
+        return reply(`❌ Unknown module *${target}*`);
+      }
+
+      return reply(`♻️ *${target}* thresholds restored to defaults.`);
+    }
+
+    if (sub === "set") {
+      const pairs = args.slice(2);
+      if (!target || !pairs.length || pairs.length % 2) return usage();
+
+      // each setting/value pair is applied on its own, invalid ones are reported
+      const errors = [];
+
+      for (let i = 0; i < pairs.length; i += 2) {
+        const error = applyProtectionSetting(from, target, pairs[i].toLowerCase(), pairs[i + 1]);
+        if (error) errors.push(error);
+      }
+
+      if (errors.length) return reply(errors.join("\n"));
+
+      return reply(`✅ *${target}* updated\n\n${describeGroupProtection(from)}`);
+    }
+
+    return usage();
+  }
+};
@@ -0,0 +1,29 @@
+// ♻️ Restore the group configuration to defaults, after the admin replies "yes"
+// (the confirmation reply is handled in index.js with the other "yes" replies)
+module.exports = {
+  name: "reset",
+
+  async run({ from, sender, reply, services }) {
+    const { pendingResetConfirm, RESET_CONFIRM_TIME } = services;
+
+    pendingResetConfirm[from] = {
+      admin: sender,
+      expires: Date.now() + RESET_CONFIRM_TIME
+    };
+
+    return reply({
+      text:
+`♻️ *Reset group configuration?*
+
+This will restore defaults for:
+• All toggled commands
+• Bad words list
+• Welcome & farewell messages
+• Ranks
+• Slowmode & protection thresholds
+
+@${sender.split("@")[0]} reply *yes* within 60 seconds to confirm.`,
+      mentions: [sender]
+    });
+  }
+};
@@ -0,0 +1,22 @@
+// 🐢 .slowmode 30s → set the delay and make sure slowmode is on
+// (".slowmode on/off" stays with the toggle handler)
+module.exports = {
+  name: "slowmode",
+  usage: ".slowmode <delay>\nExample: .slowmode 30s, .slowmode 2m",
+  adminOnly: true,
+  toggle: false,
+  minArgs: 1,
+
+  async run({ from, sender, args, settings, reply, services }) {
+    const { applyProtectionSetting, getGroupProtection, formatDuration, setCommandStatus } = services;
+
+    const error = applyProtectionSetting(from, "slowmode", "delay", args[0]);
+    if (error) return reply(error);
+
+    if (settings.slowmode !== "on" && !await setCommandStatus(from, sender, "slowmode", "on")) {
+      return reply(`⚠️ Delay saved (*${formatDuration(getGroupProtection(from).slowDelay)}*) but slow mode couldn't be turned on. Try *.slowmode on*.`);
+    }
+
+    return reply(`🐢 Slow mode enabled: one message every *${formatDuration(getGroupProtection(from).slowDelay)}*`);
+  }
+};
@@ -0,0 +1,16 @@
+// 📝 Subtitle languages of an episode, or one subtitle as .vtt + .srt + .ass
+// .subs <anime title> ep <episode> [language]
+module.exports = {
+  name: "subs",
+  toggle: "anime",
+  minArgs: 1,
+
+  async run({ sock, msg, from, sender, argText, services }) {
+    const { startAIRequest, handleSubsCommand } = services;
+
+    const thinkingKey = await startAIRequest(sock, from, from, sender, msg);
+    if (!thinkingKey) return;
+
+    await handleSubsCommand(sock, from, argText, thinkingKey);
+  }
+};
@@ -0,0 +1,42 @@
+// ⛔ Ban member(s) from using the bot for a limited time
+// .tempban @user 2h [reason]
+module.exports = {
+  name: "tempban",
+  requireMention: true,
+
+  async run({ sock, from, sender, args, mentions, admins, reply, usage, services }) {
+    const { parseDuration, applySanction, isPermanentlyBanned } = services;
+
+    const raw = args.find(a => !a.startsWith("@") && parseDuration(a));
+    const duration = raw ? parseDuration(raw) : null;
+
+    if (!duration) return usage();
+
+    const reason = args.filter(a => !a.startsWith("@") && a !== raw).join(" ") || null;
+
+    if (duration > 30 * 24 * 60 * 60 * 1000) {
+      return reply("❌ Maximum temporary ban is 30 days.");
+    }
+
+    for (const userId of mentions) {
+      if (admins.includes(userId)) {
+        await reply({
+          text: `❌ @${userId.split("@")[0]} is an admin and can't be banned.`,
+          mentions: [userId]
+        });
+        continue;
+      }
+
+      // its expiry would lift the permanent ban
+      if (isPermanentlyBanned(from, userId)) {
+        await reply({
+          text: `ℹ️ @${userId.split("@")[0]} is already banned permanently. Use *.unban* first.`,
+          mentions: [userId]
+        });
+        continue;
+      }
+
+      await applySanction(sock, from, "tempban", userId, duration, sender, reason);
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// 🔊 Lift member mutes, or unmute the bot when nobody is mentioned
+module.exports = {
+  name: "unmute",
+
+  async run({ sock, from, sender, mentions, reply, services }) {
+    const { getSanction, liftSanction, isGroupMuted, unmuteGroup } = services;
+
+    // -------------------- BOT MUTE --------------------
+    if (!mentions.length) {
+      if (!isGroupMuted(from)) return reply("🔊 Bot is not muted.");
+
+      await unmuteGroup(sock, from, sender);
+      return reply("🔊 Bot unmuted. Commands and notifications are back on.");
+    }
+
+    // -------------------- MEMBER MUTES --------------------
+    for (const userId of mentions) {
+      if (!getSanction(from, "mute", userId)) {
+        await reply({
+          text: `ℹ️ @${userId.split("@")[0]} is not muted.`,
+          mentions: [userId]
+        });
+        continue;
+      }
+
+      await liftSanction(sock, from, "mute", userId, { by: sender });
+    }
+  }
+};
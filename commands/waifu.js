@@ -0,0 +1,58 @@
+const axios = require("axios");
+
+// 💖 Claim waifu
+module.exports = {
+  name: "waifu",
+  usage: ".waifu <character name>",
+  minArgs: 1,
+  disabledText: "❌ Waifu system is disabled.",
+
+  async run({ sock, from, sender, argText, reply, services }) {
+    const { searchAnimeCharacter, waifuClaims, fetchWaifus } = services;
+
+    const character = await searchAnimeCharacter(argText);
+    if (!character) return reply("❌ Character not found.");
+
+    // Fetch current claims from backend if not cached
+    if (!waifuClaims[from]) await fetchWaifus(from);
+
+    const key = character.name.toLowerCase().replace(/\s+/g, "");
+
+    if (waifuClaims[from][key]) {
+      const owner = waifuClaims[from][key];
+      return reply({
+        text: `💔 *${character.name}* is already claimed by @${owner.split("@")[0]}`,
+        mentions: [owner]
+      });
+    }
+
+    // 🔹 Add claim to backend
+    try {
+      const res = await axios.post("https://kiroflix.site/backend/add_waifu.php", {
+        group_id: from,
+        user_id: sender,
+        character_name: character.name,
+        character_image: character.image,
+        anime: character.anime
+      });
+
+      if (!res.data.success) throw new Error(res.data.error || "Backend error");
+
+      // Update cache
+      waifuClaims[from][key] = sender;
+
+      await sock.sendMessage(from, {
+        image: { url: character.image },
+        caption: `💖 *@${sender.split("@")[0]} claimed ${character.name}!*
+
+Anime: ${character.anime}
+
+No one else can claim this waifu now.`,
+        mentions: [sender]
+      });
+    } catch (err) {
+      console.error("❌ Failed to add waifu:", err.message);
+      await reply("❌ Failed to claim waifu.");
+    }
+  }
+};
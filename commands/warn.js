@@ -0,0 +1,29 @@
+// ⚠️ Manual strike → same ledger and ladder as the protection modules
+module.exports = {
+  name: "warn",
+
+  async run({ sock, msg, from, sender, args, mentions, quotedParticipant, admins, reply, usage, services }) {
+    const { addStrike } = services;
+
+    const target = mentions[0] || quotedParticipant;
+    if (!target) return usage();
+
+    if (admins.includes(target)) return reply("❌ Admins can't receive strikes.");
+
+    const reason = args.filter(a => !a.startsWith("@")).join(" ") || "No reason given.";
+
+    // Replying to the message → the ladder can delete it
+    const contextInfo = msg.message?.extendedTextMessage?.contextInfo;
+    const msgKey = quotedParticipant === target && contextInfo?.stanzaId
+      ? { remoteJid: from, id: contextInfo.stanzaId, participant: target, fromMe: false }
+      : null;
+
+    await addStrike(sock, from, target, {
+      module: "manual",
+      title: "⚠️ *WARNING*",
+      reason,
+      by: sender,
+      msgKey
+    });
+  }
+};
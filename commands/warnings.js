@@ -0,0 +1,64 @@
+// 🧾 Active strikes of one member, or the whole group (admins)
+const ACTION_LABELS = {
+  warn: "warning",
+  delete: "message deletion",
+  botban: "temporary bot-ban",
+  kick: "kick"
+};
+
+module.exports = {
+  name: "warnings",
+  aliases: ["strikes"],
+
+  async run({ from, sender, mentions, quotedParticipant, isAdmin, reply, services }) {
+    const { getUserStrikes, getGroupStrikes, getStrikeAction, getGroupProtection, formatDuration } = services;
+
+    const target = mentions[0] || quotedParticipant || (isAdmin ? null : sender);
+
+    // -------------------- GROUP OVERVIEW --------------------
+    if (!target) {
+      const all = Object.entries(getGroupStrikes(from))
+        .sort((a, b) => b[1].length - a[1].length);
+
+      if (!all.length) return reply("✅ No active strikes in this group.");
+
+      return reply({
+        text: `🧾 *Active strikes*\n\n${all.map(([jid, s]) => `• @${jid.split("@")[0]} — ${s.length}`).join("\n")}`,
+        mentions: all.map(([jid]) => jid)
+      });
+    }
+
+    if (!isAdmin && target !== sender) {
+      return reply("❌ You can only check your own warnings.");
+    }
+
+    // -------------------- ONE MEMBER --------------------
+    const strikes = getUserStrikes(from, target);
+    const username = target.split("@")[0];
+
+    if (!strikes.length) {
+      return reply({ text: `✅ @${username} has no active strikes.`, mentions: [target] });
+    }
+
+    const { strikeDecay } = getGroupProtection(from);
+    const now = Date.now();
+
+    const lines = strikes.map((s, i) =>
+      `${i + 1}. [${s.module}] ${s.reason.split("\n")[0]} — ${formatDuration(now - s.time)} ago`
+    );
+
+    const next = ACTION_LABELS[getStrikeAction(from, strikes.length + 1)];
+    const expires = formatDuration(strikeDecay - (now - strikes[0].time));
+
+    return reply({
+      text:
+`🧾 *Strikes of @${username}* (${strikes.length})
+
+${lines.join("\n")}
+
+⏭ Next strike: ${next}
+⌛ Oldest strike expires in ${expires}`,
+      mentions: [target]
+    });
+  }
+};
@@ -0,0 +1,87 @@
+// 🍿 Synchronized watch party
+// .watchparty start <anime> [episode] / join / leave / status
+// host or admins: .watchparty pause / resume / next / end
+const HOST_CONTROLS = ["pause", "resume", "next", "end"];
+
+const HELP =
+`🍿 *Watch Party Commands*
+
+.watchparty start <anime> [episode]
+.watchparty join
+.watchparty leave
+.watchparty status
+
+👑 Host / admins:
+.watchparty pause
+.watchparty resume
+.watchparty next
+.watchparty end`;
+
+module.exports = {
+  name: "watchparty",
+  toggle: "anime",
+  disabledText: "❌ Anime features are disabled in this group.",
+
+  async run({ sock, from, sender, args, admins, reply, services }) {
+    const {
+      watchParties,
+      startWatchParty,
+      joinWatchParty,
+      leaveWatchParty,
+      pauseWatchParty,
+      resumeWatchParty,
+      nextWatchPartyEpisode,
+      endWatchParty,
+      sendWatchPartyStatus
+    } = services;
+
+    const sub = (args[0] || "").toLowerCase();
+
+    // -------------------- HOST CONTROLS --------------------
+    if (HOST_CONTROLS.includes(sub)) {
+      const party = watchParties[from];
+
+      if (!party) return reply("⚠️ No watch party is running.");
+
+      if (sender !== party.host && !admins.includes(sender)) {
+        return reply("❌ Only the host or group admins can control the watch party.");
+      }
+    }
+
+    switch (sub) {
+      case "start": {
+        const query = args.slice(1).join(" ");
+
+        if (!query) {
+          return reply("❌ Usage: .watchparty start <anime> [episode]\nExample: .watchparty start one piece episode 1100");
+        }
+
+        return startWatchParty(sock, from, sender, query);
+      }
+
+      case "join":
+        return joinWatchParty(sock, from, sender);
+
+      case "leave":
+        return leaveWatchParty(sock, from, sender);
+
+      case "pause":
+        return pauseWatchParty(sock, from, sender);
+
+      case "resume":
+        return resumeWatchParty(sock, from, sender);
+
+      case "next":
+        return nextWatchPartyEpisode(sock, from);
+
+      case "end":
+        return endWatchParty(sock, from, `🛑 Watch party ended by @${sender.split("@")[0]}.`, [sender]);
+
+      case "status":
+        return sendWatchPartyStatus(sock, from);
+
+      default:
+        return reply(HELP);
+    }
+  }
+};
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const path = require("path");
+
+// -------------------- CONVERSATION STORE --------------------
+// Local DM memory, one JSON-lines file per user in `dir`:
+//
+//   {"type":"turn","user":"...","ai":"...","time":1700000000000}
+//   {"type":"state","key":"anime","value":{"title":"One Piece","episode":400}}
+//   {"type":"summary","text":"User likes isekai, is watching One Piece"}
+//
+// Lines are only appended; once there are more than maxTurns turns the oldest
+// ones are folded into the summary (summarize callback) and the file is rewritten.
+
+function createConversationStore({
+  dir,
+  maxTurns = 12,        // compact when more turns than this
+  keepTurns = 6,        // turns kept verbatim after compaction
+  summarize = null,     // async (previousSummary, turns) => text
+  log = console.error
+}) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const cache = new Map();      // userJid -> memory
+  const compacting = new Set(); // users being summarized
+
+  const fileFor = userJid => path.join(dir, `${userJid.replace(/[^\w.-]/g, "_")}.jsonl`);
+
+  function load(userJid) {
+    if (cache.has(userJid)) return cache.get(userJid);
+
+    const memory = { summary: "", turns: [], state: {} };
+
+    try {
+      const file = fileFor(userJid);
+
+      if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+          if (!line.trim()) continue;
+
+          let entry;
+          try { entry = JSON.parse(line); } catch { continue; } // skip a torn last line
+
+          if (entry.type === "turn") memory.turns.push({ user: entry.user, ai: entry.ai, time: entry.time });
+          if (entry.type === "state") memory.state[entry.key] = entry.value;
+          if (entry.type === "summary") memory.summary = entry.text;
+        }
+      }
+    } catch (err) {
+      log("CONVERSATION LOAD", err);
+    }
+
+    cache.set(userJid, memory);
+    return memory;
+  }
+
+  function append(userJid, entry) {
+    try {
+      fs.appendFileSync(fileFor(userJid), JSON.stringify(entry) + "\n");
+    } catch (err) {
+      log("CONVERSATION SAVE", err);
+    }
+  }
+
+  function rewrite(userJid, memory) {
+    const lines = [];
+
+    if (memory.summary) lines.push({ type: "summary", text: memory.summary });
+    for (const [key, value] of Object.entries(memory.state)) lines.push({ type: "state", key, value });
+    for (const t of memory.turns) lines.push({ type: "turn", ...t });
+
+    try {
+      const file = fileFor(userJid);
+      fs.writeFileSync(`${file}.tmp`, lines.map(l => JSON.stringify(l)).join("\n") + "\n");
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (err) {
+      log("CONVERSATION REWRITE", err);
+    }
+  }
+
+  async function compact(userJid) {
+    const memory = load(userJid);
+    if (memory.turns.length <= maxTurns || compacting.has(userJid)) return;
+
+    compacting.add(userJid);
+
+    try {
+      const old = memory.turns.slice(0, memory.turns.length - keepTurns);
+
+      if (summarize) {
+        const text = (await summarize(memory.summary, old))?.trim();
+
+        // no summary (AI down) → keep the turns, try again on the next one
+        if (!text) return;
+
+        memory.summary = text;
+      }
+
+      // forgotten while summarizing → don't bring the old history back
+      if (cache.get(userJid) !== memory) return;
+
+      // turns added while summarizing are kept
+      memory.turns = memory.turns.slice(old.length);
+      rewrite(userJid, memory);
+    } catch (err) {
+      log("CONVERSATION COMPACT", err);
+    } finally {
+      compacting.delete(userJid);
+    }
+  }
+
+  function addTurn(userJid, user, ai) {
+    const turn = { user, ai, time: Date.now() };
+
+    load(userJid).turns.push(turn);
+    append(userJid, { type: "turn", ...turn });
+
+    compact(userJid);
+  }
+
+  function getState(userJid, key) {
+    return load(userJid).state[key] || null;
+  }
+
+  function setState(userJid, key, value) {
+    load(userJid).state[key] = value;
+    append(userJid, { type: "state", key, value });
+  }
+
+  function forget(userJid) {
+    cache.delete(userJid);
+
+    try {
+      fs.rmSync(fileFor(userJid), { force: true });
+    } catch (err) {
+      log("CONVERSATION FORGET", err);
+      return false;
+    }
+
+    return true;
+  }
+
+  // Prompt-ready context: summary, current anime/manhwa, recent turns, current message
+  function buildContext(userJid, currentText, maxRecent = 5) {
+    const memory = load(userJid);
+    let context = "";
+
+    if (memory.summary) context += `Earlier conversation (summary): ${memory.summary}\n\n`;
+
+    const { anime, manhwa } = memory.state;
+    if (anime) context += `Currently watching: ${anime.title}${anime.season ? ` season ${anime.season}` : ""} episode ${anime.episode}\n`;
+    if (manhwa) context += `Currently reading: ${manhwa.title} chapter ${manhwa.chapter}\n`;
+    if (anime || manhwa) context += "\n";
+
+    for (const t of memory.turns.slice(-maxRecent)) {
+      context += `User: ${t.user}\nAI: ${t.ai}\n\n`;
+    }
+
+    context += `User: ${currentText}\nAI:`;
+
+    return context;
+  }
+
+  return { get: load, addTurn, getState, setState, forget, buildContext };
+}
+
+module.exports = { createConversationStore };
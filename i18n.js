@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+
+// -------------------- I18N --------------------
+// Message catalogs live in ./locales/<code>.json as flat "section.key" → text.
+// Texts use {placeholders}: t("fr", "strike.botban", { duration: "1h" })
+//
+// Missing keys fall back to the default language, then to the key itself,
+// so a half-translated catalog never breaks a reply.
+//
+// Languages are chosen per chat: a group id for the whole group,
+// a user jid for that user's DMs.
+
+function createI18n({ dir, storeFile, defaultLanguage = "en" }) {
+  const catalogs = {};
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+
+    try {
+      catalogs[path.basename(file, ".json")] = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+    } catch (err) {
+      console.error(`❌ Invalid locale ${file}:`, err.message);
+    }
+  }
+
+  let chats = {};
+
+  try {
+    if (fs.existsSync(storeFile)) chats = JSON.parse(fs.readFileSync(storeFile, "utf-8"));
+  } catch {}
+
+  function save() {
+    try {
+      fs.writeFileSync(storeFile, JSON.stringify(chats, null, 2));
+    } catch (err) {
+      console.error("❌ Failed to save languages:", err.message);
+    }
+  }
+
+  // "fr", "FR", "fr-CA", "french", "français" → "fr"
+  function resolveLanguage(input = "") {
+    const value = input.trim().toLowerCase();
+    if (!value) return null;
+
+    if (catalogs[value]) return value;
+    if (catalogs[value.split(/[-_]/)[0]]) return value.split(/[-_]/)[0];
+
+    return Object.keys(catalogs).find(code =>
+      [catalogs[code]["language.name"], catalogs[code]["language.english"]]
+        .filter(Boolean)
+        .some(name => name.toLowerCase() === value)
+    ) || null;
+  }
+
+  function getLanguage(chatId) {
+    return chats[chatId] || defaultLanguage;
+  }
+
+  // Returns false for unknown languages
+  function setLanguage(chatId, code) {
+    const lang = resolveLanguage(code);
+    if (!lang) return false;
+
+    if (lang === defaultLanguage) delete chats[chatId];
+    else chats[chatId] = lang;
+
+    save();
+    return true;
+  }
+
+  function t(lang, key, vars = {}) {
+    const text = catalogs[lang]?.[key] ?? catalogs[defaultLanguage]?.[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+  }
+
+  function available() {
+    return Object.keys(catalogs).map(code => ({
+      code,
+      name: catalogs[code]["language.name"] || code,
+      english: catalogs[code]["language.english"] || code
+    }));
+  }
+
+  return { t, getLanguage, setLanguage, resolveLanguage, available, defaultLanguage };
+}
+
+module.exports = { createI18n };
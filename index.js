@@ -23,14 +23,19 @@ const fs = require("fs");
 const path = require("path");
 const os = require("os");
 const AdmZip = require("adm-zip");
-// Keep track of episodes already processed to avoid resending
-const processedEpisodes = new Set();
+const { createCommandRouter } = require("./commandRouter");
+const { createAIClient } = require("./aiProviders");
+const { AsyncLocalStorage } = require("async_hooks");
+const { createConversationStore } = require("./conversationStore");
+const { createI18n } = require("./i18n");
+const { createReleaseTracker } = require("./releaseTracker");
+const { buildPDFLocally, buildBundlePDFLocally } = require("./pdfBuilder");
+const { cueChunks, checkTimestamps, validateVTT, vttToSrt, vttToAss } = require("./subtitles");
+const { extractJson, coerce, validate, defaultFor } = require("./aiSchema");
 let qrCodeDataURL = null; // store latest QR code
 let schedulerStarted = false;
 let sockInstance = null; // store global socket
 let qrScanned = false;
-const nsfwWarnings = {}; 
-// { userId: { warned: true, bannedUntil: timestamp } }
 
 const userImageQueue = {};
 const userProcessing = {};
@@ -107,13 +112,20 @@ sharp.cache(false);
 // 🔒 Anti-spam cooldown
 const lastMessageTime = new Map();
 const MESSAGE_COOLDOWN = 2000; // 2 seconds
-// 📊 Daily usage limit
-const dailyUsage = new Map();
-const DAILY_LIMIT = 50; // per user per day
+// 📊 Daily usage limit (AI requests per user per day, see checkAIQuota)
+const DAILY_LIMIT = Number(process.env.DAILY_LIMIT) || 50;
 // // -------------------- CONFIG --------------------
-const GEMINI_KEY = process.env.GEMINI_KEY;
-const GEMINI_URL =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemma-3-27b-it:generateContent";
+// AI providers / models are configured through env, see aiProviders.js
+const aiClient = createAIClient({
+  log: (context, err) => logError(context, err),
+  onUsage: usage => recordAIUsage(getAIScope(), usage)
+});
+// 🌐 Language per chat (group id, or user jid for DMs), catalogs in ./locales
+const i18n = createI18n({
+  dir: path.join(__dirname, "locales"),
+  storeFile: path.join(__dirname, "languages.json")
+});
+const t = (chatId, key, vars) => i18n.t(i18n.getLanguage(chatId), key, vars);
 //
 // -------------------- GROUP COMMANDS LIST --------------------
 //
@@ -253,7 +265,7 @@ adminPromote:true
 antiraid:{
 category:"PROTECTION",
 description:"Detect mass joins and prevent raid attacks.",
-usage:".antiraid on/off",
+usage:".antiraid on/off / .antiraid status / .antiraid set joins 8",
 adminOnly:true,
 adminPromote:true
 },
@@ -306,8 +318,8 @@ adminPromote:false
 
 mute:{
 category:"CORE",
-description:"Mute the bot so it ignores commands.",
-usage:".mute on/off",
+description:"Mute the bot so it ignores commands, or mute a member so their messages are deleted.",
+usage:".mute on/off / .mute 2h / .mute @user 30m",
 adminOnly:true,
 adminPromote:false
 },
@@ -315,7 +327,7 @@ adminPromote:false
 slowmode:{
 category:"GROUP",
 description:"Add delay between messages to reduce spam.",
-usage:".slowmode on/off",
+usage:".slowmode on/off / .slowmode 30s",
 adminOnly:true,
 adminPromote:false
 },
@@ -367,15 +379,39 @@ adminPromote:false
 animewatch:{
 category:"OTAKU",
 description:"Watch anime episodes instantly by sending the anime title, season, and episode. The bot will return a fast streaming link with English subtitles and no ads.",
-usage:"Example: Naruto Shippuden S2 E15 or Jujutsu Kaisen S1 E5",
+usage:"Example: Naruto Shippuden S2 E15 or Jujutsu Kaisen S1 E5\nSeveral episodes: .animewatch Naruto episodes 1-5",
+adminOnly:false,
+adminPromote:false
+},
+
+animeinfo:{
+category:"OTAKU",
+description:"Get an info card for an anime: poster, genres, score, status, studios and the countdown to the next episode, with a short synopsis. Reply watch (or watch <number>) to the card to start watching.",
+usage:".animeinfo <anime title>",
+adminOnly:false,
+adminPromote:false
+},
+
+subs:{
+category:"OTAKU",
+description:"List the subtitle languages of an episode, or get one in any language. Existing subtitles are sent right away, missing ones are translated first. You receive .vtt, .srt and .ass files.",
+usage:".subs <anime title> ep <episode> → available languages\n.subs <anime title> ep <episode> <language> → subtitle files",
+adminOnly:false,
+adminPromote:false
+},
+
+episodes:{
+category:"OTAKU",
+description:"Browse the episode list of an anime, page by page, with filler and recap episodes marked when known. Reply next, prev or a page number to the list to move through it.",
+usage:".episodes <anime title> [page <n>]",
 adminOnly:false,
 adminPromote:false
 },
 
 manhwaread:{
 category:"OTAKU",
-description:"Read manhwa or manga chapters in high-quality PDF format. The bot fetches clean, full chapters for smooth reading experience.",
-usage:"Example: Solo Leveling Chapter 120 or .read Solo Leveling 120",
+description:"Read manhwa or manga chapters in high-quality PDF format. The bot fetches clean, full chapters for smooth reading experience. Ask for a range to get several chapters in one PDF with a table of contents, or add zip to get one PDF per chapter.",
+usage:"Example: Solo Leveling Chapter 120 or .read Solo Leveling 120\nRange: .manhwaread Solo Leveling 100 to 105 [zip]",
 adminOnly:false,
 adminPromote:false
 },
@@ -425,6 +461,78 @@ adminOnly:true,
 adminPromote:false
 },
 
+tempban:{
+category:"ADMIN",
+description:"Ban a member from using the bot for a limited time. The ban is lifted automatically (also after a restart) and the member is notified.",
+usage:".tempban @user 2h [reason]",
+adminOnly:true,
+adminPromote:false
+},
+
+aiusage:{
+category:"ADMIN",
+description:"Show how much AI this group used today and this week (calls, cached answers, tokens, top members) and set the daily AI budget.",
+usage:".aiusage / .aiusage limit <calls|off>",
+adminOnly:true,
+adminPromote:false
+},
+
+appeal:{
+category:"ADMIN",
+description:"Review appeals from kicked or banned members. Members receive a code in DM and appeal there; approving re-adds or unbans them.",
+usage:".appeal / .appeal approve <code> / .appeal deny <code> [note]",
+adminOnly:true,
+adminPromote:false
+},
+
+unmute:{
+category:"ADMIN",
+description:"Lift a member mute early, or unmute the bot when no one is mentioned.",
+usage:".unmute @user / .unmute",
+adminOnly:true,
+adminPromote:false
+},
+
+language:{
+category:"CORE",
+description:"Show or change the bot language for this group (menus, warnings, games, translations, anime and manhwa replies, subtitles, release announcements). Anyone can check it, only admins can change it. Works in DM for your own chat too.",
+usage:".language / .language <en|fr|ar|es>",
+adminOnly:false,
+adminPromote:false
+},
+
+warn:{
+category:"ADMIN",
+description:"Give a member a strike. Strikes from every protection module share one ledger and escalate: warn → delete → temporary bot-ban → kick.",
+usage:".warn @user <reason> (or reply to their message)",
+adminOnly:true,
+adminPromote:false
+},
+
+warnings:{
+category:"ADMIN",
+description:"Show active strikes. Admins can check anyone or see the whole group, members can check their own.",
+usage:".warnings / .warnings @user",
+adminOnly:false,
+adminPromote:false
+},
+
+clearwarns:{
+category:"ADMIN",
+description:"Clear all strikes and any temporary bot-ban of a member.",
+usage:".clearwarns @user",
+adminOnly:true,
+adminPromote:false
+},
+
+modlog:{
+category:"ADMIN",
+description:"Review every moderation action (deletions, strikes, kicks, bans, raid locks) with who did it and why. Can be exported as JSON or CSV.",
+usage:".modlog [@user] [module] [last N] / .modlog export json|csv [@user] [module]",
+adminOnly:true,
+adminPromote:false
+},
+
 leaderboard:{
 category:"FUN",
 description:"Display the group ranking leaderboard based on points, activity, or achievements.",
@@ -497,6 +605,14 @@ adminOnly:true,
 adminPromote:false
 },
 
+protect:{
+category:"PROTECTION",
+description:"Tune protection thresholds for this group (anti-spam, anti-flood, anti-mention, anti-link, slowmode, anti-raid).",
+usage:".protect show / .protect set antiflood limit 8 window 10s / .protect reset <module|all>",
+adminOnly:true,
+adminPromote:false
+},
+
 menu:{
 category:"CORE",
 description:"Display the full list of available bot commands with categories and usage instructions.",
@@ -508,7 +624,7 @@ adminPromote:false
 watchparty:{
 category:"FUN",
 description:"Start a group watch party session where members can join and watch anime together in sync.",
-usage:".watchparty start",
+usage:".watchparty start <anime> [episode] / join / leave / status / pause / resume / next / end",
 adminOnly:false,
 adminPromote:false
 },
@@ -572,7 +688,7 @@ unban:{
     category:"UTILITY",
     description:"Manage personal or group notes using the bot. You can add new notes, list existing notes, or remove notes when no longer needed. Perfect to keep track of anime, reminders, or group info.",
     usage:".note add <note content> → adds a new note\n.note list → displays all saved notes\n.note remove <note number or ID> → deletes a specific note",
-    adminOnly:false,
+    adminOnly:true,
     adminPromote:false
   },
   translate: {
@@ -640,7 +756,7 @@ quote: {
 
 translate: {
   category: "AI",
-  description: "Translate a message the user replies to using AI. Limited to 3 translations per minute per user.",
+  description: "Translate a message the user replies to using AI. Without a target language it translates into the group language. Limited to 3 translations per minute per user.",
   usage: "Reply to a message → .translate <target language>",
   adminOnly: false,
   adminPromote: false
@@ -695,38 +811,88 @@ function logError(context, err) {
   console.error(`\n❌ ERROR in ${context}`);
   console.error(err.message);
 }
+// -------------------- CONVERSATION MEMORY --------------------
+// Local DM memory (conversations/<user>.jsonl): recent turns, a summary of
+// older ones and the anime / manhwa the user is currently on.
+const conversationStore = createConversationStore({
+  dir: path.join(__dirname, "conversations"),
+  summarize: summarizeConversation,
+  log: logError
+});
+
+async function summarizeConversation(previousSummary, turns) {
+  return askAI(`
+Summarize this conversation between a user and an anime & manhwa bot in at most 4 short sentences.
+Keep: titles, episodes/chapters, preferences, open questions. Drop greetings and small talk.
+
+${previousSummary ? `Previous summary:\n${previousSummary}\n\n` : ""}Conversation:
+${turns.map(t => `User: ${t.user}\nAI: ${t.ai}`).join("\n\n")}
+
+Return only the summary.
+`, { task: "summary" });
+}
+
+// Remember what a DM user got (groups share one chat, no memory there)
+function rememberTurn(chatId, userText, aiReply, state = null) {
+  if (chatId.endsWith("@g.us")) return;
+
+  if (state) conversationStore.setState(chatId, state.key, { ...state.value, updatedAt: Date.now() });
+  conversationStore.addTurn(chatId, userText, aiReply);
+}
+
 async function buildContext(userJid, currentText, maxRecent = 5) {
-  try {
-    const { data } = await axios.post(
-      "https://kiroflix.site/backend/get_last_messages.php",
-      { user_jid: userJid }
-    );
+  const context = conversationStore.buildContext(userJid, currentText, maxRecent);
 
-    const messages = data.success ? data.messages : [];
+  // ✅ LOG CONTEXT FOR DEBUGGING
+  console.log("===== RECENT CONTEXT =====");
+  console.log(context);
+  console.log("==========================");
 
-    // Take only the most recent `maxRecent` messages
-    const recentMessages = messages.slice(-maxRecent);
+  return context;
+}
 
-    let context = "";
+// "next episode", "previous chapter", "episode 12", "ch 45", "next"
+// → resolved from memory without asking the AI. Returns null when it's anything else.
+function resolveFromMemory(userJid, text) {
+  const lower = text.toLowerCase().replace(/[!?.]+$/, "").trim();
 
-    for (const msg of recentMessages) {
-      context += `User: ${msg.user_message}\nAI: ${msg.ai_reply}\n\n`;
-    }
+  const anime = conversationStore.getState(userJid, "anime");
+  const manhwa = conversationStore.getState(userJid, "manhwa");
+  if (!anime && !manhwa) return null;
 
-    // Add current message at the end for AI to process
-    context += `User: ${currentText}\nAI:`;
+  const step = lower.match(/^(?:send |watch |read |give me )?(?:the )?(next|previous|prev)(?: (episode|ep|chapter|ch))?(?: one)?(?: please| pls)?$/);
+  const direct = lower.match(/^(?:send |watch |read )?(episode|ep|chapter|ch)\.? ?(\d+)$/);
 
-    // ✅ LOG CONTEXT FOR DEBUGGING
-    console.log("===== RECENT CONTEXT =====");
-    console.log(context);
-    console.log("==========================");
+  if (!step && !direct) return null;
 
-    return context;
+  const unit = step ? step[2] : direct[1];
 
-  } catch (err) {
-    logError("BUILD CONTEXT", err);
-    return `User: ${currentText}\nAI:`;
+  // bare "next" → whatever the user touched last
+  const kind = unit
+    ? (/^ch/.test(unit) ? "manhwa" : "anime")
+    : ((anime?.updatedAt || 0) >= (manhwa?.updatedAt || 0) ? "anime" : "manhwa");
+
+  const current = kind === "anime" ? anime : manhwa;
+  if (!current) return null;
+
+  const position = kind === "anime" ? current.episode : current.chapter;
+  const target = direct
+    ? Number(direct[2])
+    : Math.floor(position) + (step[1] === "next" ? 1 : -1);
+
+  if (!(target >= 1)) return null;
+
+  if (kind === "anime") {
+    return {
+      type: "anime",
+      intent: { title: current.title, season: null, episode: target, subtitle: false, subtitleLang: null, notFound: false, anime: current.anime }
+    };
   }
+
+  return {
+    type: "manhwa",
+    intent: { title: current.title, chapter: target, notFound: false, manhwa: current.manhwa }
+  };
 }
 
 async function searchReference(query) {
@@ -759,11 +925,182 @@ async function searchReference(query) {
 }
 
 
-// -------------------- AI --------------------
-async function askAI(prompt) {
+// -------------------- AI CACHE & BUDGET --------------------
+// Every askAI call runs inside a scope { groupId, userId } (see runWithAIScope)
+// so calls and tokens can be charged to the group and the member behind them.
+const aiScope = new AsyncLocalStorage();
+
+const AI_USAGE_FILE = path.join(__dirname, "ai_usage.json");
+const AI_USAGE_DAYS = 7;                    // history kept for .aiusage
+const AI_GROUP_DAILY_LIMIT = Number(process.env.AI_GROUP_DAILY_LIMIT) || 500; // AI calls per group per day
+const AI_CACHE_TTL = 6 * 60 * 60 * 1000;
+const AI_CACHE_MAX = 500;
+
+const aiCache = new Map(); // sha256(task + prompt) -> { text, time }
+
+function runWithAIScope(scope, fn) {
+  return aiScope.run(scope, fn);
+}
+
+function getAIScope(options = {}) {
+  if (options.groupId !== undefined) {
+    return { groupId: options.groupId, userId: options.userId || null };
+  }
+  return aiScope.getStore() || {};
+}
+
+function loadAIUsage() {
   try {
+    if (!fs.existsSync(AI_USAGE_FILE)) return { days: {}, limits: {} };
+    return { days: {}, limits: {}, ...JSON.parse(fs.readFileSync(AI_USAGE_FILE)) };
+  } catch {
+    return { days: {}, limits: {} };
+  }
+}
+
+let aiUsage = loadAIUsage();
+let aiUsageSaveTimer = null;
+
+// Counters change on every call → write at most every 10s
+function saveAIUsage() {
+  if (aiUsageSaveTimer) return;
+
+  aiUsageSaveTimer = setTimeout(() => {
+    aiUsageSaveTimer = null;
+    try {
+      fs.writeFileSync(AI_USAGE_FILE, JSON.stringify(aiUsage));
+    } catch {}
+  }, 10000);
+}
+
+function aiUsageDay(day = new Date().toISOString().slice(0, 10)) {
+  if (!aiUsage.days[day]) {
+    aiUsage.days[day] = { groups: {}, users: {}, members: {} };
+
+    // drop days older than AI_USAGE_DAYS
+    Object.keys(aiUsage.days).sort().slice(0, -AI_USAGE_DAYS)
+      .forEach(d => delete aiUsage.days[d]);
+  }
+  return aiUsage.days[day];
+}
+
+function aiUsageCounter(bucket, id) {
+  if (!bucket[id]) bucket[id] = { requests: 0, calls: 0, cached: 0, inputTokens: 0, outputTokens: 0 };
+  return bucket[id];
+}
+
+// Charge one AI call (or cache hit) to the current scope
+function recordAIUsage(scope, { inputTokens = 0, outputTokens = 0, cached = false } = {}) {
+  const day = aiUsageDay();
+  // background jobs without a scope are charged to "system"
+  const groupId = scope.groupId || (scope.userId ? "dm" : "system");
+  const counters = [aiUsageCounter(day.groups, groupId)];
+
+  if (scope.userId) {
+    counters.push(aiUsageCounter(day.users, scope.userId));
+    counters.push(aiUsageCounter(day.members[groupId] ||= {}, scope.userId));
+  }
+
+  for (const c of counters) {
+    if (cached) {
+      c.cached++;
+    } else {
+      c.calls++;
+      c.inputTokens += inputTokens;
+      c.outputTokens += outputTokens;
+    }
+  }
+
+  saveAIUsage();
+}
+
+// One user-initiated AI request (DM message, .ask, .translate...)
+function recordAIRequest(groupId, userId) {
+  const day = aiUsageDay();
+
+  aiUsageCounter(day.groups, groupId || "dm").requests++;
+  aiUsageCounter(day.users, userId).requests++;
+  aiUsageCounter(day.members[groupId || "dm"] ||= {}, userId).requests++;
+
+  saveAIUsage();
+}
+
+function getAIGroupLimit(groupId) {
+  return aiUsage.limits[groupId] ?? AI_GROUP_DAILY_LIMIT;
+}
+
+// 0 = unlimited
+function setAIGroupLimit(groupId, limit) {
+  aiUsage.limits[groupId] = limit;
+  saveAIUsage();
+}
+
+// Returns a reason string when the quota is used up, null otherwise
+function checkAIQuota(groupId, userId) {
+  const day = aiUsageDay();
+
+  if (userId && (day.users[userId]?.requests || 0) >= DAILY_LIMIT) {
+    return `⏳ You reached your daily AI limit (${DAILY_LIMIT} requests). Try again tomorrow!`;
+  }
+
+  const limit = groupId ? getAIGroupLimit(groupId) : 0;
+
+  if (limit && (day.groups[groupId]?.calls || 0) >= limit) {
+    return "⏳ This group used its daily AI budget. AI features are back tomorrow!";
+  }
+
+  return null;
+}
+
+function getAIUsage(groupId) {
+  const today = new Date().toISOString().slice(0, 10);
+  const day = aiUsage.days[today] || { groups: {}, members: {} };
+
+  const week = { requests: 0, calls: 0, cached: 0, inputTokens: 0, outputTokens: 0 };
+
+  for (const d of Object.values(aiUsage.days)) {
+    const g = d.groups[groupId];
+    if (!g) continue;
+    for (const key of Object.keys(week)) week[key] += g[key] || 0;
+  }
+
+  return {
+    today: day.groups[groupId] || aiUsageCounter({}, groupId),
+    week,
+    members: day.members?.[groupId] || {},
+    limit: getAIGroupLimit(groupId),
+    userLimit: DAILY_LIMIT
+  };
+}
+
+function aiCacheKey(task, prompt) {
+  return crypto.createHash("sha256").update(`${task}\n${prompt}`).digest("hex");
+}
+
+function getCachedAI(key) {
+  const hit = aiCache.get(key);
+  if (!hit) return null;
+
+  if (Date.now() - hit.time > AI_CACHE_TTL) {
+    aiCache.delete(key);
+    return null;
+  }
+
+  // refresh LRU position
+  aiCache.delete(key);
+  aiCache.set(key, hit);
+
+  return hit.text;
+}
+
+function setCachedAI(key, text) {
+  aiCache.set(key, { text, time: Date.now() });
+  if (aiCache.size > AI_CACHE_MAX) aiCache.delete(aiCache.keys().next().value);
+}
 
-    const finalPrompt = `
+// -------------------- AI --------------------
+function buildAIPrompt(prompt) {
+  return `
 You are an AI used inside an anime & manhwa bot your name is kiroflix bot and you are part of kiroflix otaku tools.
 
 GLOBAL STRICT RULES:
@@ -777,31 +1114,120 @@ TASK:
 ${prompt}
 ---------------------------------------
 `;
+}
 
-    const { data } = await axios.post(
-      `${GEMINI_URL}?key=${GEMINI_KEY}`,
-      {
-        contents: [
-          {
-            parts: [{ text: finalPrompt }]
-          }
-        ],
-        generationConfig: {
-          temperature: 0,
-          topP: 0
-        }
-      },
-      { timeout: 120000 }
-    );
+// askAI(prompt, { task, groupId, userId, cache })
+// task picks the model tier (classify, intent, chat, game, analysis),
+// groupId / userId override the current AI scope, cache:true reuses the answer for the same
+// prompt (only for deterministic prompts: intent, classify, match, translate — never chat or games).
+// Also accepts askAI({ prompt, task })
+async function askAI(prompt, options = {}) {
+  if (typeof prompt === "object" && prompt !== null) {
+    ({ prompt, ...options } = prompt);
+  }
+
+  const task = options.task || "default";
+  const scope = getAIScope(options);
+
+  try {
+
+    const finalPrompt = buildAIPrompt(prompt);
 
-    return data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    const cacheKey = options.cache === true ? aiCacheKey(task, finalPrompt) : null;
+    const cached = cacheKey && getCachedAI(cacheKey);
+
+    if (cached) {
+      recordAIUsage(scope, { cached: true });
+      return cached;
+    }
+
+    // group budget is a hard stop, the per-user quota is checked per request
+    const limit = scope.groupId ? getAIGroupLimit(scope.groupId) : 0;
+
+    if (limit && (aiUsageDay().groups[scope.groupId]?.calls || 0) >= limit) {
+      console.log(`⏳ AI budget reached for ${scope.groupId}`);
+      return "";
+    }
+
+    const text = await runWithAIScope(scope, () => aiClient.ask(finalPrompt, { task }));
+
+    if (cacheKey) setCachedAI(cacheKey, text);
+
+    return text;
 
   } catch (err) {
     logError("AI CALL", err);
     return "";
   }
 }
+
+const AI_JSON_RETRIES = 2; // re-prompts after the first answer
+
+// askAIJson(prompt, schema, { task, fallback, ...askAI options })
+// Parses + validates the reply against schema (see aiSchema.js), re-prompts with the
+// validation errors, and returns `fallback` (or the schema's typed default) when it keeps failing.
+async function askAIJson(prompt, schema, { task = "default", retries = AI_JSON_RETRIES, fallback, ...options } = {}) {
+  let attemptPrompt = prompt;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const raw = await askAI(attemptPrompt, { ...options, task });
+
+    // every provider failed, retrying won't help
+    if (!raw) break;
+
+    let errors;
+
+    try {
+      const value = coerce(extractJson(raw), schema);
+      errors = validate(value, schema);
+
+      if (!errors.length) return value;
+    } catch (err) {
+      errors = [err.message];
+    }
+
+    logStep(`AI JSON INVALID (${task}, attempt ${attempt + 1})`, errors.slice(0, 5).join("\n"));
+
+    // don't serve the broken answer from cache next time
+    aiCache.delete(aiCacheKey(task, buildAIPrompt(attemptPrompt)));
+
+    attemptPrompt = `${prompt}
+
+---------------------------------------
+Your previous reply was rejected:
+${errors.slice(0, 5).map(e => `- ${e}`).join("\n")}
+
+Previous reply:
+${raw.slice(0, 1500)}
+
+Return ONLY valid JSON in the requested format, nothing else.`;
+  }
+
+  return fallback !== undefined ? fallback : defaultFor(schema);
+}
+
+// Shared by the quiz / guess games: { results: { "user@jid": true } }
+const JUDGE_SCHEMA = {
+  type: "object",
+  properties: {
+    results: { type: "object", additionalProperties: { type: "boolean" } }
+  },
+  required: ["results"]
+};
 // -------------------- INTENT --------------------
+const INTENT_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: ["string", "null"], default: null },
+    season: { type: ["integer", "null"], default: null },
+    episode: { type: "integer", minimum: 1, default: 1 },
+    episodeEnd: { type: ["integer", "null"], default: null },
+    subtitle: { type: "boolean", default: false },
+    subtitleLang: { type: ["string", "null"], default: null },
+    notFound: { type: "boolean", default: false }
+  }
+};
+
 async function parseIntent(text) {
   try {
     logStep("USER MESSAGE", text);
@@ -827,6 +1253,10 @@ Movie rule:
 - season=null
 - episode=1
 
+Range rule:
+- "episodes 1-5" / "episodes 1 to 5" → episode=1, episodeEnd=5
+- single episode → episodeEnd=null
+
 Defaults:
 - If episode missing → episode=1
 - If title unclear → {"notFound": true}
@@ -840,6 +1270,7 @@ Return JSON only:
 "title":"official title",
 "season":null,
 "episode":number,
+"episodeEnd":null,
 "subtitle":false,
 "subtitleLang":null,
 "notFound":false
@@ -847,12 +1278,9 @@ Return JSON only:
 
 User: ${text}
 `;
-    let res = await askAI(prompt);
-    res = res.replace(/```json|```/gi, "").trim();
-    const json = res.match(/\{[\s\S]*\}/)?.[0];
-    if (!json) throw new Error("No JSON from AI");
+    const parsed = await askAIJson(prompt, INTENT_SCHEMA, { task: "intent", cache: true, fallback: null });
+    if (!parsed) throw new Error("No valid JSON from AI");
 
-    const parsed = JSON.parse(json);
     logStep("PARSED INTENT", parsed);
 
     return parsed;
@@ -1021,6 +1449,8 @@ When relevant, you can mention the bot features:
 • Watch anime episodes
 • Read manhwa chapters (English only)
 • Generate subtitles
+• New episode alerts in DM (.follow <anime>, .following, .unfollow)
+• New chapter alerts in DM, optionally as PDF (.followmanhwa <title> [pdf], .unfollowmanhwa)
 • Anime games & quizzes
 • Anime wallpapers
 • Group moderation tools
@@ -1050,11 +1480,64 @@ Visit https://kiroflix.cu.ma for latest info.
 Reply:
 `;
 
-  const res = await askAI(prompt);
+  const res = await askAI(prompt, { task: "chat" });
   return res || "👋 Hi! Send an anime or manhwa title to get recommendations, opinions, or watch episodes 🍿";
 }
 // -------------------- AI MATCH --------------------
-async function chooseBestAnime(intent, results) {
+// "Attack on Titan Season 2" / "... 2nd Season" / "... S2" → 2, no marker → null
+function seasonOf(title = "") {
+  const match =
+    title.match(/season\s*(\d+)/i) ||
+    title.match(/(\d+)(?:st|nd|rd|th)\s+season/i) ||
+    title.match(/\bs(\d+)\b/i);
+
+  return match ? Number(match[1]) : null;
+}
+
+// Title without its season marker, for grouping entries of the same show
+function baseTitle(title = "") {
+  return normalize(
+    title
+      .replace(/season\s*\d+/ig, "")
+      .replace(/\d+(?:st|nd|rd|th)\s+season/ig, "")
+      .replace(/\bs\d+\b/ig, "")
+  );
+}
+
+// Entries of the same show, season 1 first
+function seasonEntries(anime, results) {
+  const base = baseTitle(anime.title);
+
+  return results
+    .filter(r => baseTitle(r.title) === base)
+    .sort((a, b) => (seasonOf(a.title) || 1) - (seasonOf(b.title) || 1));
+}
+
+// "S2" in the request → the search result for that season, if there is one
+function pickSeasonEntry(intent, results) {
+  if (!intent.season) return null;
+
+  const base = baseTitle(intent.title || "");
+  const sameShow = results.filter(r => {
+    const entry = baseTitle(r.title);
+    return entry === base || entry.includes(base) || base.includes(entry);
+  });
+
+  const season = sameShow.filter(r => (seasonOf(r.title) || 1) === Number(intent.season));
+
+  return season.find(r => baseTitle(r.title) === base) || season[0] || null;
+}
+
+// Returns { anime, unsure, candidates }; unsure → ask the user to pick
+async function matchAnime(intent, results) {
+  const seasonEntry = pickSeasonEntry(intent, results);
+  if (seasonEntry) {
+    logStep("SEASON MATCH", seasonEntry);
+    return { anime: seasonEntry, unsure: false, candidates: [] };
+  }
+
+  if (results.length === 1) return { anime: results[0], unsure: false, candidates: [] };
+
   try {
     const minimal = results.map(a => ({
       id: a.id,
@@ -1065,56 +1548,503 @@ async function chooseBestAnime(intent, results) {
 
     const prompt = `
 User searching: "${intent.title}"${intent.season ? " season " + intent.season : ""}
-Return ONLY the id of the best match from this list:
+Pick the best match from this list:
 ${JSON.stringify(minimal)}
 
 Rules:
 1. Match the title case-insensitively.
-2. If multiple results have the same title, return the one with the highest id (newest).
-3. Do not return anything else, only the id.
+2. If multiple results have the same title, pick the one with the highest id (newest).
+3. confident=false when several entries could be what the user means
+   (different seasons, movies, remakes) and the request doesn't say which.
+
+Return JSON only:
+{"id":"...","confident":true}
 `;
 
-    const res = await askAI(prompt);
-    const id = res.match(/\d+/)?.[0];
+    const res = await askAIJson(prompt, {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        confident: { type: "boolean", default: true }
+      },
+      required: ["id"]
+    }, { task: "intent", cache: true, fallback: null });
+
+    const anime = results.find(a => String(a.id) === String(res?.id));
 
-    if (!id) {
+    if (!anime) {
       logStep("AI MATCH FALLBACK", "Using first result");
-      return results[0];
+      return { anime: results[0], unsure: false, candidates: [] };
     }
 
-    const anime = results.find(a => a.id === id);
-    logStep("AI MATCH RESULT", anime);
+    logStep("AI MATCH RESULT", { anime, confident: res.confident });
+
+    // AI pick first, then the other results
+    const candidates = [anime, ...results.filter(a => a !== anime)].slice(0, ANIME_CHOICES_MAX);
 
-    return anime || results[0];
+    return { anime, unsure: !res.confident, candidates };
 
   } catch (err) {
     logError("AI MATCH", err);
-    return results[0];
+    return { anime: results[0], unsure: false, candidates: [] };
   }
 }
-// -------------------- EPISODES --------------------
-async function getEpisodes(id) {
-  try {
-    logStep("FETCH EPISODES FOR", id);
 
-    const { data } = await axios.get(
-      "https://kiroflix.site/backend/episodes_proxy_v2.php",
-      { params: { id } }
-    );
+async function chooseBestAnime(intent, results) {
+  return (await matchAnime(intent, results)).anime;
+}
 
-    logStep("EPISODES COUNT", data.episodes?.length);
-    return data.episodes || [];
+// -------------------- ANIME CHOICES --------------------
+// "Which one did you mean? reply 1/2/3", keyed by the question message id
+const ANIME_CHOICES_MAX = 3;
+const ANIME_CHOICE_TTL = 5 * 60 * 1000;
+const animeChoiceCache = {}; // messageId -> { chat, intent, originalText, candidates, time }
 
-  } catch (err) {
-    logError("EPISODES FETCH", err);
-    return [];
+async function askAnimeChoice(sock, from, intent, originalText, candidates, thinkingKey) {
+  const lines = candidates.map((a, i) => `${i + 1}. ${a.title}`);
+
+  await sock.sendMessage(from, { text: "🤔 I found several matches.", edit: thinkingKey });
+
+  const sent = await sock.sendMessage(from, {
+    text: `🤔 *Which one did you mean?*\n\n${lines.join("\n")}\n\nReply with ${candidates.map((_, i) => i + 1).join("/")}`
+  });
+
+  // drop expired questions
+  for (const [id, choice] of Object.entries(animeChoiceCache)) {
+    if (Date.now() - choice.time > ANIME_CHOICE_TTL) delete animeChoiceCache[id];
   }
+
+  animeChoiceCache[sent.key.id] = { chat: from, intent, originalText, candidates, time: Date.now() };
 }
 
-// -------------------- STREAM GENERATOR --------------------
-async function generateStream(episodeId) {
-  const maxRetries = 3;
-  const delay = (ms) => new Promise(res => setTimeout(res, ms));
+// [messageId, entry] for a reply to one of our interactive messages.
+// In DM the reply doesn't have to quote it: the latest open one is used.
+function findReplyEntry(cache, from, quotedId, isGroup, ttl) {
+  if (quotedId) return cache[quotedId] ? [quotedId, cache[quotedId]] : null;
+  if (isGroup) return null;
+
+  return Object.entries(cache)
+    .filter(([, c]) => c.chat === from && Date.now() - c.time <= ttl)
+    .sort((a, b) => b[1].time - a[1].time)[0] || null;
+}
+
+// These replies don't go through handleMessage → same group toggles as .animewatch
+function animeRepliesAllowed(from, isGroup) {
+  if (!isGroup) return true;
+
+  const settings = groupCommandsCache[from] || {};
+  return settings.bot !== "off" && settings.anime !== "off";
+}
+
+// -------------------- EPISODE NUMBERS --------------------
+// Exact number, or the n-th episode when the entry keeps absolute numbers
+// (Season 2 listed as 26, 27... and the user asked "S2 E15")
+function findEpisode(episodes, number) {
+  const exact = episodes.find(e => Number(e.number) === Number(number));
+  if (exact) return exact;
+
+  const sorted = [...episodes].sort((a, b) => Number(a.number) - Number(b.number));
+  if (Number(sorted[0]?.number) > 1 && number <= sorted.length) return sorted[number - 1];
+
+  return null;
+}
+
+// "Attack on Titan episode 39" → season 2 episode 14, walking the season entries
+async function resolveAbsoluteEpisode(anime, results, absolute) {
+  const entries = seasonEntries(anime, results).slice(0, 10);
+  if (entries.length < 2) return null;
+
+  let remaining = absolute;
+
+  for (const entry of entries) {
+    const episodes = await getEpisodes(entry.id);
+    if (!episodes.length) return null;
+
+    if (remaining <= episodes.length) {
+      const episode = findEpisode(episodes, remaining);
+      return episode ? { anime: entry, episodes, episode } : null;
+    }
+
+    remaining -= episodes.length;
+  }
+
+  return null;
+}
+
+// -------------------- EPISODE LISTS & BATCHES --------------------
+const EPISODES_PAGE_SIZE = 25;
+const EPISODE_LIST_TTL = 30 * 60 * 1000;
+const EPISODE_EDIT_WINDOW = 14 * 60 * 1000; // WhatsApp refuses edits after ~15 min
+const EPISODE_BATCH_MAX = Number(process.env.EPISODE_BATCH_MAX) || 10; // links per request
+const EPISODE_BATCH_DELAY = 1500;                                    // between stream generations
+const episodeListCache = {}; // messageId -> { chat, anime, episodes, page, key, sentAt, time }
+
+// Only shown when the backend sends the flags
+function episodeMarkers(chatId, ep) {
+  const markers = [];
+  if (ep.isFiller || ep.is_filler || ep.filler) markers.push(t(chatId, "episodes.filler"));
+  if (ep.isRecap || ep.is_recap || ep.recap) markers.push(t(chatId, "episodes.recap"));
+  return markers.length ? ` (${markers.join(", ")})` : "";
+}
+
+function renderEpisodePage(chatId, anime, episodes, page) {
+  const pages = Math.max(1, Math.ceil(episodes.length / EPISODES_PAGE_SIZE));
+  const lines = episodes
+    .slice(page * EPISODES_PAGE_SIZE, (page + 1) * EPISODES_PAGE_SIZE)
+    .map(e => `${e.number}. ${e.title || t(chatId, "episodes.untitled", { number: e.number })}${episodeMarkers(chatId, e)}`);
+
+  return `${t(chatId, "episodes.header", { title: anime.title, count: episodes.length, page: page + 1, pages })}
+
+${lines.join("\n")}
+
+${t(chatId, "episodes.footer", { title: anime.title })}`;
+}
+
+// .episodes <anime> [page <n>]
+async function handleEpisodeList(sock, from, query, thinkingKey) {
+  const pageMatch = query.match(/\s+page\s*(\d+)$/i);
+  const title = pageMatch ? query.slice(0, pageMatch.index).trim() : query;
+
+  const results = await searchAnime(title);
+  if (!results.length) {
+    await sock.sendMessage(from, { text: t(from, "anime.notFound"), edit: thinkingKey });
+    return;
+  }
+
+  const anime = await chooseBestAnime({ title }, results);
+  const episodes = (await getEpisodes(anime.id))
+    .sort((a, b) => Number(a.number) - Number(b.number));
+
+  if (!episodes.length) {
+    await sock.sendMessage(from, { text: t(from, "episodes.unavailable"), edit: thinkingKey });
+    return;
+  }
+
+  const pages = Math.ceil(episodes.length / EPISODES_PAGE_SIZE);
+  const page = Math.min(Math.max((Number(pageMatch?.[1]) || 1) - 1, 0), pages - 1);
+
+  // The thinking message becomes the list, later pages edit it in place
+  await sock.sendMessage(from, { text: renderEpisodePage(from, anime, episodes, page), edit: thinkingKey });
+
+  for (const [id, list] of Object.entries(episodeListCache)) {
+    if (Date.now() - list.time > EPISODE_LIST_TTL) delete episodeListCache[id];
+  }
+
+  episodeListCache[thinkingKey.id] = {
+    chat: from,
+    anime: { id: anime.id, title: anime.title },
+    episodes,
+    page,
+    key: thinkingKey,
+    sentAt: Date.now(),
+    time: Date.now()
+  };
+}
+
+// "next" / "prev" / "3" on a list (listId = the list message)
+async function turnEpisodePage(sock, from, listId, list, input) {
+  const pages = Math.ceil(list.episodes.length / EPISODES_PAGE_SIZE);
+  const word = input.toLowerCase();
+
+  const page =
+    word === "next" ? list.page + 1 :
+    word.startsWith("prev") ? list.page - 1 :
+    Number(word) - 1;
+
+  if (page < 0 || page >= pages) {
+    await sock.sendMessage(from, { text: t(from, "episodes.pageRange", { pages }) });
+    return;
+  }
+
+  list.page = page;
+  list.time = Date.now();
+
+  const text = renderEpisodePage(from, list.anime, list.episodes, page);
+
+  if (Date.now() - list.sentAt <= EPISODE_EDIT_WINDOW) {
+    await sock.sendMessage(from, { text, edit: list.key });
+    return;
+  }
+
+  // too old to be edited → send the page again, replies now go to the new message
+  const sent = await sock.sendMessage(from, { text });
+
+  delete episodeListCache[listId];
+  episodeListCache[sent.key.id] = { ...list, key: sent.key, sentAt: Date.now() };
+}
+
+// "Naruto episodes 1-5" → one message with every player link
+async function sendEpisodeBatch(sock, from, anime, episodes, first, last, thinkingKey) {
+  const count = last - first + 1;
+
+  if (count > EPISODE_BATCH_MAX) {
+    await sock.sendMessage(from, {
+      text: t(from, "episodes.batchMax", { max: EPISODE_BATCH_MAX, count }),
+      edit: thinkingKey
+    });
+    return null;
+  }
+
+  const lines = [];
+  let lastSent = null;
+
+  for (let number = first; number <= last; number++) {
+    await sock.sendMessage(from, {
+      text: t(from, "episodes.generating", { index: number - first + 1, count }),
+      edit: thinkingKey
+    }).catch(() => {});
+
+    const episode = findEpisode(episodes, number);
+
+    if (!episode) {
+      lines.push(`${number}. ${t(from, "episodes.notReleased")}`);
+      continue;
+    }
+
+    const stream = await generateStream(episode.id);
+
+    if (stream) {
+      lines.push(`${episode.number}. ${episode.title}${episodeMarkers(from, episode)}\n▶️ ${stream.player}`);
+      lastSent = episode;
+    } else {
+      lines.push(`${episode.number}. ${t(from, "episodes.streamFailed")}`);
+    }
+
+    // 🔹 Throttle the stream generator
+    if (number < last) await new Promise(resolve => setTimeout(resolve, EPISODE_BATCH_DELAY));
+  }
+
+  await sock.sendMessage(from, {
+    text: `${t(from, "episodes.batchHeader", { title: anime.title, first, last })}\n\n${lines.join("\n\n")}`,
+    edit: thinkingKey
+  });
+
+  return lastSent;
+}
+
+// -------------------- ANIME INFO --------------------
+// .animeinfo <title>: kiroflix search (for watching) + AniList details,
+// rendered as a card with sharp. Reply "watch" / "watch 5" to the card.
+const ANIME_INFO_TTL = 30 * 60 * 1000;
+const animeInfoCache = {}; // messageId -> { chat, anime, time }
+
+async function fetchAniListInfo(title) {
+  const query = `
+  query ($search: String) {
+    Media(search: $search, type: ANIME) {
+      title { romaji english }
+      coverImage { extraLarge color }
+      description(asHtml: false)
+      genres
+      averageScore
+      status
+      format
+      episodes
+      season
+      seasonYear
+      studios(isMain: true) { nodes { name } }
+      nextAiringEpisode { episode timeUntilAiring }
+    }
+  }`;
+
+  try {
+    const { data } = await axios.post(
+      "https://graphql.anilist.co",
+      { query, variables: { search: title } },
+      { timeout: 15000 }
+    );
+
+    return data?.data?.Media || null;
+  } catch (err) {
+    logError("ANILIST INFO", err);
+    return null;
+  }
+}
+
+function escapeXML(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Greedy word wrap for SVG text, extra lines are dropped with "…"
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/)) {
+    if ((line + " " + word).trim().length > maxChars && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = (line + " " + word).trim();
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].slice(0, maxChars - 1) + "…";
+  }
+
+  return lines;
+}
+
+// Card texts (animeinfo.* keys) are plain text only: the SVG renderer has no emoji font
+async function createAnimeInfoCard(chatId, title, info, posterUrl) {
+  const width = 900;
+  const height = 500;
+  const accent = info?.coverImage?.color || "#e94560";
+
+  const base = sharp({
+    create: { width, height, channels: 3, background: "#14141f" }
+  });
+
+  const composites = [];
+
+  // 🖼 Poster on the left
+  const poster = info?.coverImage?.extraLarge || posterUrl;
+
+  if (poster) {
+    try {
+      const { data } = await axios.get(poster, { responseType: "arraybuffer", timeout: 15000 });
+      const resized = await sharp(Buffer.from(data)).resize(300, 440, { fit: "cover" }).png().toBuffer();
+      composites.push({ input: resized, top: 30, left: 30 });
+    } catch (err) {
+      console.error("❌ Poster fetch failed for", title, err.message);
+    }
+  }
+
+  // 📝 Details on the right
+  const rows = [];
+  let y = 70;
+
+  for (const line of wrapText(title, 28, 2)) {
+    rows.push(`<text x="360" y="${y}" class="title">${escapeXML(line)}</text>`);
+    y += 40;
+  }
+
+  y += 10;
+
+  const details = [
+    info?.averageScore ? t(chatId, "animeinfo.score", { score: info.averageScore }) : null,
+    info?.status ? t(chatId, `animeinfo.status.${info.status}`) : null,
+    [info?.format, info?.episodes ? t(chatId, "animeinfo.episodes", { count: info.episodes }) : null].filter(Boolean).join(" · "),
+    info?.season
+      ? t(chatId, "animeinfo.season", { season: t(chatId, `animeinfo.season.${info.season}`), year: info.seasonYear || "" }).trim()
+      : null,
+    info?.studios?.nodes?.length ? t(chatId, "animeinfo.studio", { studios: info.studios.nodes.map(s => s.name).join(", ") }) : null,
+    info?.nextAiringEpisode
+      ? t(chatId, "animeinfo.next", {
+        number: info.nextAiringEpisode.episode,
+        time: formatDuration(info.nextAiringEpisode.timeUntilAiring * 1000)
+      })
+      : null
+  ].filter(Boolean);
+
+  for (const detail of details) {
+    rows.push(`<text x="360" y="${y}" class="detail">${escapeXML(detail)}</text>`);
+    y += 34;
+  }
+
+  if (info?.genres?.length) {
+    y += 10;
+    for (const line of wrapText(info.genres.join(" · "), 40, 2)) {
+      rows.push(`<text x="360" y="${y}" class="genres">${escapeXML(line)}</text>`);
+      y += 28;
+    }
+  }
+
+  const svg = `
+<svg width="${width}" height="${height}">
+  <style>
+    .title { font-size: 32px; font-weight: bold; fill: #ffffff; font-family: sans-serif; }
+    .detail { font-size: 22px; fill: #dddddd; font-family: sans-serif; }
+    .genres { font-size: 18px; fill: ${escapeXML(accent)}; font-family: sans-serif; }
+  </style>
+  <rect x="0" y="${height - 8}" width="${width}" height="8" fill="${escapeXML(accent)}" />
+  ${rows.join("\n  ")}
+</svg>`;
+
+  composites.push({ input: Buffer.from(svg), top: 0, left: 0 });
+
+  return base.composite(composites).png().toBuffer();
+}
+
+// .animeinfo <title>
+async function handleAnimeInfo(sock, from, query, thinkingKey) {
+  const results = await searchAnime(query);
+  const anime = results.length ? await chooseBestAnime({ title: query }, results) : null;
+  const info = await fetchAniListInfo(anime?.title || query);
+
+  if (!anime && !info) {
+    await sock.sendMessage(from, { text: t(from, "anime.notFound"), edit: thinkingKey });
+    return;
+  }
+
+  const title = info?.title?.english || info?.title?.romaji || anime.title;
+
+  const synopsis = (info?.description || "")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const caption =
+`🎬 *${title}*${info?.title?.romaji && info.title.romaji !== title ? `\n_${info.title.romaji}_` : ""}
+
+${synopsis ? `${synopsis.substring(0, 400)}${synopsis.length > 400 ? "..." : ""}` : t(from, "animeinfo.noSynopsis")}
+${info?.nextAiringEpisode ? `\n${t(from, "animeinfo.nextEpisode", { number: info.nextAiringEpisode.episode, time: formatDuration(info.nextAiringEpisode.timeUntilAiring * 1000) })}` : ""}
+${t(from, anime ? "animeinfo.watch" : "animeinfo.notWatchable")}`;
+
+  let card = null;
+
+  try {
+    card = await createAnimeInfoCard(from, title, info, anime?.poster);
+  } catch (err) {
+    console.error("❌ Anime card failed:", err.message);
+  }
+
+  const sent = await sock.sendMessage(from, card ? { image: card, caption } : { text: caption });
+
+  await sock.sendMessage(from, { text: `📖 ${title}`, edit: thinkingKey }).catch(() => {});
+
+  if (!anime) return;
+
+  for (const [id, entry] of Object.entries(animeInfoCache)) {
+    if (Date.now() - entry.time > ANIME_INFO_TTL) delete animeInfoCache[id];
+  }
+
+  animeInfoCache[sent.key.id] = {
+    chat: from,
+    anime: { id: anime.id, title: anime.title, poster: anime.poster },
+    time: Date.now()
+  };
+}
+// -------------------- EPISODES --------------------
+async function getEpisodes(id) {
+  try {
+    logStep("FETCH EPISODES FOR", id);
+
+    const { data } = await axios.get(
+      "https://kiroflix.site/backend/episodes_proxy_v2.php",
+      { params: { id } }
+    );
+
+    logStep("EPISODES COUNT", data.episodes?.length);
+    return data.episodes || [];
+
+  } catch (err) {
+    logError("EPISODES FETCH", err);
+    return [];
+  }
+}
+
+// -------------------- STREAM GENERATOR --------------------
+async function generateStream(episodeId) {
+  const maxRetries = 3;
+  const delay = (ms) => new Promise(res => setTimeout(res, ms));
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
@@ -1189,25 +2119,31 @@ RULES:
 - Keep the title EXACT as user wrote (only fix spacing/typos if obvious)
 - Remove chapter info from title
 - If no chapter → default to 1
+- If the user asks for a range ("100-105", "100 to 105") → chapter = first, chapterEnd = last
+- Otherwise chapterEnd = 0
 
 Return ONLY JSON:
 
 {
   "title": "string",
   "chapter": number,
+  "chapterEnd": number,
   "notFound": false
 }
 
 User input: "${text}"
 `;
 
-    let res = await askAI(prompt);
-
-    res = res.replace(/```json|```/gi, "").trim();
-    const json = res.match(/\{[\s\S]*\}/)?.[0];
-    if (!json) throw new Error("No JSON");
-
-    return JSON.parse(json);
+    return await askAIJson(prompt, {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        chapter: { type: "number", minimum: 0, default: 1 },
+        chapterEnd: { type: "number", minimum: 0, default: 0 },
+        notFound: { type: "boolean", default: false }
+      },
+      required: ["title"]
+    }, { task: "intent", cache: true, fallback: { title: text, chapter: 1, notFound: false } });
 
   } catch (err) {
     return { title: text, chapter: 1, notFound: false };
@@ -1449,7 +2385,7 @@ async function waitForPDF(jobId, sock, from, progressKey) {
       if (data.status === "processing") {
 
         // 🔥 only update if progress changed
-        if (data.progress !== lastProgress) {
+        if (progressKey && data.progress !== lastProgress) {
           lastProgress = data.progress;
 
           await sock.sendMessage(from, {
@@ -1462,10 +2398,12 @@ async function waitForPDF(jobId, sock, from, progressKey) {
       }
 
       if (data.status === "done") {
-        await sock.sendMessage(from, {
-          text: `✅ PDF ready (100%)`,
-          edit: progressKey
-        }).catch(() => {});
+        if (progressKey) {
+          await sock.sendMessage(from, {
+            text: `✅ PDF ready (100%)`,
+            edit: progressKey
+          }).catch(() => {});
+        }
         return true;
       }
 
@@ -1509,89 +2447,281 @@ async function downloadPDF(jobId) {
   }
 }
 // ===============================
-// 🚀 MAIN MANHWA HANDLER (V2)
+// 📄 CHAPTER → PDF
 // ===============================
-async function handleManhwaRequest(sock, text, from, thinkingKey) {
+// PDF_BUILDER=auto    remote job service, local builder when it fails (default)
+// PDF_BUILDER=remote  remote only
+// PDF_BUILDER=local   always build in-process (pdfBuilder.js)
+const PDF_BUILDER = (process.env.PDF_BUILDER || "auto").toLowerCase();
 
-  try {
+// Edits the progress message, at most once every 10% (100% always goes through)
+function pdfProgressEditor(sock, to, progressKey, label = () => "📄 Building PDF...") {
+  let lastProgress = -1;
 
-    const intent = await parseManhwaIntent(text);
+  return async (progress, ...info) => {
+    if (!progressKey || (progress < 100 && progress - lastProgress < 10)) return;
+    lastProgress = progress;
 
-    if (!intent || intent.notFound) {
+    await sock.sendMessage(to, {
+      text: progress >= 100 ? "✅ PDF ready (100%)" : `${label(...info)} ${progress}%`,
+      edit: progressKey
+    }).catch(() => {});
+  };
+}
 
-      return sock.sendMessage(from, {
-        text: "❌ Could not detect manhwa title."
-      });
+async function buildChapterPDFLocally(imageUrls, sock, to, progressKey) {
+  return buildPDFLocally(imageUrls, {
+    limit: downloadLimit,
+    onProgress: pdfProgressEditor(sock, to, progressKey)
+  });
+}
+
+// progressKey is optional: without it the job runs silently.
+// Returns { pdf, failed }, failed = pages the local builder couldn't download
+async function buildChapterPDF(imageUrls, sock, to, progressKey = null) {
+  if (PDF_BUILDER !== "local") {
+    try {
+      const jobId = await startPDFJob(imageUrls);
+
+      await waitForPDF(jobId, sock, to, progressKey);
 
+      return { pdf: await downloadPDF(jobId), failed: 0 };
+
+    } catch (err) {
+      if (PDF_BUILDER === "remote") throw err;
+      console.log("⚠️ Remote PDF service failed, building locally:", err.message);
     }
+  }
 
-    const searchMsg = await sock.sendMessage(from, {
-      text: "📚 Searching manhwa...",
-      edit: thinkingKey
-    });
+  return buildChapterPDFLocally(imageUrls, sock, to, progressKey);
+}
 
-    const searchKey = searchMsg.key;
+function chapterPathFor(manhwa, chapter) {
+  return `${manhwa.hash_id}-${manhwa.slug}/${chapter.chapter_id}-chapter-${chapter.number}`;
+}
 
-    const results = await searchManhwa(intent.title);
+// ===============================
+// 📚 CHAPTER RANGES (100-105)
+// ===============================
+const MANHWA_MAX_CHAPTERS = Number(process.env.MANHWA_MAX_CHAPTERS) || 5; // per request
 
-    if (!results.length) {
+// "solo leveling 100-105" / "... 100 to 105" → { chapter, chapterEnd }
+function parseChapterRange(text) {
+  const match = text.match(/(\d+)\s*(?:-|–|~|to|→)\s*(\d+)\s*$/i);
+  if (!match) return null;
 
-      return sock.sendMessage(from, {
-        text: "❌ Manhwa not found.",
-        edit: searchKey
-      });
+  const [first, last] = [Number(match[1]), Number(match[2])];
+  return last > first ? { chapter: first, chapterEnd: last } : null;
+}
 
-    }
+// Several chapters in one PDF (contents page + bookmarks) or a ZIP of chapter PDFs
+async function sendManhwaBundle(sock, from, text, manhwa, first, last, format, searchKey) {
+  const count = last - first + 1;
 
-    const manhwa = await chooseBestManhwa(intent, results);
+  if (count > MANHWA_MAX_CHAPTERS) {
+    return sock.sendMessage(from, {
+      text: t(from, "bundle.tooMany", { max: MANHWA_MAX_CHAPTERS, count }),
+      edit: searchKey
+    });
+  }
 
-    const chapter = await getChapter(
-  manhwa.hash_id,
-  manhwa.slug,        // ✅ FIX
-  intent.chapter      // ✅ FIX
-);
-    if (!chapter) {
+  const progressMsg = await sock.sendMessage(from, { text: t(from, "bundle.preparing") });
+  const progressKey = progressMsg.key;
+  const progress = message => sock.sendMessage(from, { text: message, edit: progressKey }).catch(() => {});
 
-      return sock.sendMessage(from, {
-        text: "❌ Chapter not found.",
-        edit: searchKey
-      });
+  // 1️⃣ Resolve every chapter first, missing ones are skipped
+  const sections = [];
+  const missing = [];
+
+  for (let number = first; number <= last; number++) {
+    await progress(t(from, "bundle.loading", { number, index: number - first + 1, count }));
+
+    const chapter = await getChapter(manhwa.hash_id, manhwa.slug, number);
+    const imageUrls = chapter ? await getChapterImages(chapterPathFor(manhwa, chapter)) : [];
 
+    if (!imageUrls.length) {
+      missing.push(number);
+      continue;
     }
 
-    const chapterPath =
-`${manhwa.hash_id}-${manhwa.slug}/${chapter.chapter_id}-chapter-${chapter.number}`;
+    sections.push({ title: t(from, "release.chapter", { number: chapter.number }), number: chapter.number, imageUrls });
+  }
 
-    await sock.sendMessage(from, {
-      text: `📖 Loading chapter ${chapter.number}...`,
+  if (!sections.length) {
+    return sock.sendMessage(from, {
+      text: t(from, "bundle.unavailable", { first, last }),
       edit: searchKey
     });
+  }
 
-    const imageUrls = await getChapterImages(chapterPath);
+  // 2️⃣ Build the bundle
+  const baseName = `${manhwa.slug}_chapters_${first}-${last}`;
+  let file;
+  let failedPages = 0;
 
-    if (!imageUrls.length) {
+  try {
+    if (format === "zip") {
+      const zip = new AdmZip();
 
-      return sock.sendMessage(from, {
-        text: "❌ Chapter images unavailable.",
-        edit: searchKey
-      });
+      for (const [index, section] of sections.entries()) {
+        await progress(t(from, "bundle.building", { title: section.title, index: index + 1, count: sections.length }));
 
-    }
+        const { pdf, failed } = await buildChapterPDF(section.imageUrls, sock, from);
+        zip.addFile(`${manhwa.slug}_chapter_${section.number}.pdf`, pdf);
+        failedPages += failed;
+      }
 
-    let jobId;
-let pdfBuffer;
+      const contents = sections.map(s => `${s.title} → ${manhwa.slug}_chapter_${s.number}.pdf`);
+      zip.addFile("contents.txt", Buffer.from(`${manhwa.title}\n\n${contents.join("\n")}\n`));
+
+      file = { document: zip.toBuffer(), fileName: `${baseName}.zip`, mimetype: "application/zip" };
+    } else {
+      // Bundles are always built locally: the remote service has no contents page
+      const { pdf, failed } = await buildBundlePDFLocally(manhwa.title, sections, {
+        limit: downloadLimit,
+        onProgress: pdfProgressEditor(sock, from, progressKey,
+          section => t(from, "bundle.buildingPdf", { title: section?.title || t(from, "bundle.finishing") }))
+      });
+
+      file = { document: pdf, fileName: `${baseName}.pdf`, mimetype: "application/pdf" };
+      failedPages = failed;
+    }
+  } catch (err) {
+    console.error("❌ BUNDLE ERROR:", err);
+
+    return sock.sendMessage(from, {
+      text: t(from, "bundle.failed", { error: err.message }),
+      edit: searchKey
+    });
+  }
+
+  const caption = [
+    `📖 *${manhwa.title}*`,
+    t(from, "bundle.chapters", { list: sections.map(s => s.number).join(", ") }),
+    missing.length ? t(from, "bundle.missing", { list: missing.join(", ") }) : null,
+    failedPages ? t(from, "pdf.pagesFailed", { count: failedPages }) : null,
+    t(from, "bundle.status", { status: manhwa.status })
+  ].filter(Boolean).join("\n");
+
+  await sock.sendMessage(from, { ...file, caption });
+
+  await sock.sendMessage(from, {
+    text: t(from, "bundle.ready"),
+    edit: searchKey
+  });
+
+  rememberTurn(from, text, `Sent ${manhwa.title} chapters ${first}-${last}`, {
+    key: "manhwa",
+    value: {
+      title: manhwa.title,
+      chapter: Number(sections.at(-1).number),
+      manhwa: {
+        hash_id: manhwa.hash_id,
+        slug: manhwa.slug,
+        title: manhwa.title,
+        rated_avg: manhwa.rated_avg,
+        follows_total: manhwa.follows_total,
+        status: manhwa.status,
+        synopsis: (manhwa.synopsis || "").substring(0, 300)
+      }
+    }
+  });
+}
+
+// ===============================
+// 🚀 MAIN MANHWA HANDLER (V2)
+// ===============================
+// presetIntent: already resolved (DM memory), skips the AI parsing
+async function handleManhwaRequest(sock, text, from, thinkingKey, presetIntent = null) {
+
+  try {
+
+    // "... 100-105 zip" → ZIP of chapter PDFs instead of one bundled PDF
+    const format = /\bzip\b/i.test(text) ? "zip" : "pdf";
+    const requestText = text.replace(/\bzip\b/ig, "").trim();
+
+    const intent = presetIntent || await parseManhwaIntent(requestText);
+
+    const range = parseChapterRange(requestText);
+    if (intent && range) Object.assign(intent, range);
+
+    if (!intent || intent.notFound) {
+
+      return sock.sendMessage(from, {
+        text: "❌ Could not detect manhwa title."
+      });
+
+    }
+
+    const searchMsg = await sock.sendMessage(from, {
+      text: "📚 Searching manhwa...",
+      edit: thinkingKey
+    });
+
+    const searchKey = searchMsg.key;
+
+    let manhwa = intent.manhwa;
+
+    if (!manhwa) {
+      const results = await searchManhwa(intent.title);
+
+      if (!results.length) {
+
+        return sock.sendMessage(from, {
+          text: "❌ Manhwa not found.",
+          edit: searchKey
+        });
+
+      }
+
+      manhwa = await chooseBestManhwa(intent, results);
+    }
+
+    if (intent.chapterEnd > intent.chapter) {
+      return sendManhwaBundle(sock, from, text, manhwa, intent.chapter, intent.chapterEnd, format, searchKey);
+    }
+
+    const chapter = await getChapter(
+  manhwa.hash_id,
+  manhwa.slug,        // ✅ FIX
+  intent.chapter      // ✅ FIX
+);
+    if (!chapter) {
+
+      return sock.sendMessage(from, {
+        text: "❌ Chapter not found.",
+        edit: searchKey
+      });
+
+    }
+
+    const chapterPath = chapterPathFor(manhwa, chapter);
+
+    await sock.sendMessage(from, {
+      text: `📖 Loading chapter ${chapter.number}...`,
+      edit: searchKey
+    });
+
+    const imageUrls = await getChapterImages(chapterPath);
+
+    if (!imageUrls.length) {
+
+      return sock.sendMessage(from, {
+        text: "❌ Chapter images unavailable.",
+        edit: searchKey
+      });
+
+    }
+
+let pdfBuffer;
+let failedPages = 0;
 
 try {
   const progressMsg = await sock.sendMessage(from, {
   text: "📄 Preparing PDF..."
 });
 
-const progressKey = progressMsg.key;
-  jobId = await startPDFJob(imageUrls);
-
-  await waitForPDF(jobId, sock, from, progressKey);
-
-  pdfBuffer = await downloadPDF(jobId);
+  ({ pdf: pdfBuffer, failed: failedPages } = await buildChapterPDF(imageUrls, sock, from, progressMsg.key));
 
 } catch (pdfErr) {
   console.error("❌ PDF PIPELINE ERROR:", pdfErr);
@@ -1616,7 +2746,7 @@ if (!pdfBuffer) {
 `📖 *${manhwa.title}*
 ⭐ Rating: ${manhwa.rated_avg || "N/A"}
 🔥 Followers: ${manhwa.follows_total || 0}
-📚 Chapter: ${chapter.number}
+📚 Chapter: ${chapter.number}${failedPages ? `\n${t(from, "pdf.pagesFailed", { count: failedPages })}` : ""}
 📌 Status: ${manhwa.status}
 
 ${(manhwa.synopsis || "").substring(0, 250)}...`;
@@ -1632,6 +2762,23 @@ ${(manhwa.synopsis || "").substring(0, 250)}...`;
       edit: searchKey
     });
 
+    rememberTurn(from, text, `Sent ${manhwa.title} chapter ${chapter.number}`, {
+      key: "manhwa",
+      value: {
+        title: manhwa.title,
+        chapter: Number(chapter.number),
+        manhwa: {
+          hash_id: manhwa.hash_id,
+          slug: manhwa.slug,
+          title: manhwa.title,
+          rated_avg: manhwa.rated_avg,
+          follows_total: manhwa.follows_total,
+          status: manhwa.status,
+          synopsis: (manhwa.synopsis || "").substring(0, 300)
+        }
+      }
+    });
+
   } catch (err) {
 
     logResponse("MANHWA_HANDLER_ERROR", {
@@ -1747,14 +2894,17 @@ User message:
 "${currentText}"
 `;
 
-    let res = await askAI(prompt);
-
-    res = res.replace(/```json|```/gi, "").trim();
-
-    const json = res.match(/\{[\s\S]*\}/)?.[0];
-    if (!json) throw new Error("No JSON returned");
+    const parsed = await askAIJson(prompt, {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: ["anime", "manhwa", "wallpaper", "ai", "unknown"] },
+        resolvedMessage: { type: ["string", "null"], default: null },
+        topicContext: { type: ["string", "null"], default: null }
+      },
+      required: ["type"]
+    }, { task: "classify", cache: true, fallback: null });
 
-    const parsed = JSON.parse(json);
+    if (!parsed) throw new Error("No valid JSON returned");
 
     if (!parsed.resolvedMessage) {
       parsed.resolvedMessage = currentText;
@@ -1798,10 +2948,80 @@ async function logWAUsage({
     console.error("❌ Failed to log WA usage:", err.message);
   }
 }
+// -------------------- SUBTITLES --------------------
+// VTT parsing / chunking / conversion helpers live in subtitles.js
+const SUBTITLE_CHUNK_LINES = 100;  // lines per translate_chunk call, cut on cue boundaries
+const SUBTITLE_CHUNK_RETRIES = 3;  // extra attempts for a failed or broken chunk
+const SUBTITLE_RETRY_DELAY = 2000; // doubled on every retry
+const subtitleLimit = pLimit(Number(process.env.SUBTITLE_CONCURRENCY) || 3);
+
+function subtitleURLFor(episodeId, lang) {
+  return `https://kiroflix.cu.ma/generate/episodes/${episodeId}/${lang.toLowerCase()}.vtt`;
+}
+
+// "fr" / "français" → "French", anything else is capitalized as typed
+function subtitleLanguageName(input = "") {
+  const code = i18n.resolveLanguage(input);
+  if (code) return i18n.t(code, "language.english");
+
+  return input.trim().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+async function sendSubtitleFiles(sock, chatId, baseName, vtt) {
+  const files = [
+    { content: vtt, mimetype: "text/vtt", ext: "vtt" },
+    { content: vttToSrt(vtt), mimetype: "application/x-subrip", ext: "srt" },
+    { content: vttToAss(vtt, baseName), mimetype: "text/x-ssa", ext: "ass" }
+  ];
+
+  for (const file of files) {
+    await sock.sendMessage(chatId, {
+      document: Buffer.from(file.content),
+      mimetype: file.mimetype,
+      fileName: `${baseName}.${file.ext}`
+    });
+  }
+}
+
+// original: the same lines of the base VTT, to check the timestamps survived
+// isAborted(): another chunk failed for good → stop retrying this one
+async function translateSubtitleChunk(episodeId, lang, start, end, original, isAborted = () => false) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { data: translated } = await axios.post(
+        `https://kiroflix.cu.ma/generate/translate_chunk.php`,
+        {
+          lang,
+          episode_id: episodeId,
+          start_line: start,
+          end_line: end
+        },
+        { timeout: 120000 } // a hung request would hold a subtitleLimit slot forever
+      );
+
+      if (typeof translated !== "string" || !translated.trim()) throw new Error("Empty translation");
+
+      const problem = checkTimestamps(original, translated);
+      if (problem) throw new Error(`Timestamps not preserved: ${problem}`);
+
+      return translated.trim();
+
+    } catch (err) {
+      console.error(`❌ Chunk ${start}-${end} failed (attempt ${attempt + 1}):`, err.message);
+      if (attempt >= SUBTITLE_CHUNK_RETRIES || isAborted()) throw err;
+
+      // ⏳ exponential backoff with a bit of jitter
+      await new Promise(res => setTimeout(res, SUBTITLE_RETRY_DELAY * 2 ** attempt + Math.random() * 500));
+      if (isAborted()) throw err;
+    }
+  }
+}
+
+// Returns { url, vtt } or null
 async function generateSubtitle(chatId, episodeId, lang = "English", sock) {
   // 1️⃣ Send progress message
   const progressMsg = await sock.sendMessage(chatId, {
-    text: `🎯 Generating ${lang} subtitle... 0%`
+    text: t(chatId, "subs.progress", { language: lang, percent: 0 })
   });
 
   const progressKey = progressMsg.key;
@@ -1815,59 +3035,56 @@ async function generateSubtitle(chatId, episodeId, lang = "English", sock) {
 
     if (!vttText) {
       await sock.sendMessage(chatId, {
-        text: "⚠️ No base subtitle available for this episode"
+        text: t(chatId, "subs.noBase")
       });
       return null;
     }
 
     const lines = vttText.split(/\r?\n/);
 
-    // 3️⃣ Split into chunks
-    const chunkSize = 100;
-    const chunks = [];
-    for (let i = 0; i < lines.length; i += chunkSize) {
-      chunks.push([i, Math.min(i + chunkSize - 1, lines.length - 1)]);
-    }
+    // 3️⃣ Split into chunks, never in the middle of a cue
+    const chunks = cueChunks(lines, SUBTITLE_CHUNK_LINES);
 
     const results = new Array(chunks.length);
     let completedChunks = 0;
+    let aborted = false;
 
-    // 4️⃣ Translate chunks (same endpoint)
+    // 4️⃣ Translate chunks (same endpoint, a few at a time), a chunk that keeps failing aborts:
+    // queued chunks are skipped and the failure message isn't overwritten by progress edits
     await Promise.all(
-      chunks.map(async ([start, end], index) => {
-        try {
-          const { data: translated } = await axios.post(
-            `https://kiroflix.cu.ma/generate/translate_chunk.php`,
-            {
-              lang,
-              episode_id: episodeId,
-              start_line: start,
-              end_line: end
-            }
-          );
+      chunks.map(([start, end], index) => subtitleLimit(async () => {
+        if (aborted) return;
 
-          results[index] = translated.trim();
+        const original = lines.slice(start, end + 1).join("\n");
 
+        try {
+          results[index] = await translateSubtitleChunk(episodeId, lang, start, end, original, () => aborted);
         } catch (err) {
-          console.error(`❌ Chunk ${index} failed:`, err.message);
-          results[index] = "";
+          aborted = true;
+          throw err;
         }
 
+        if (aborted) return;
+
         // 🔄 Update progress (edit message)
         completedChunks++;
         const percent = Math.floor((completedChunks / chunks.length) * 100);
 
         await sock.sendMessage(chatId, {
-          text: `🎯 Generating ${lang} subtitle... ${percent}%`,
+          text: t(chatId, "subs.progress", { language: lang, percent }),
           edit: progressKey
-        });
-      })
+        }).catch(() => {});
+      }))
     );
 
-    // 5️⃣ Combine subtitles
-    const finalSubtitle = results.join("\n");
+    // 5️⃣ Combine subtitles + check nothing got lost
+    // chunks end on the blank line between cues and come back trimmed → put it back
+    const finalSubtitle = results.join("\n\n") + "\n";
     const filename = `${lang.toLowerCase()}.vtt`;
 
+    const problems = validateVTT(finalSubtitle, vttText);
+    if (problems.length) throw new Error(`Invalid VTT: ${problems.join(", ")}`);
+
     // 6️⃣ Save subtitle (same endpoint)
     await axios.post(`https://kiroflix.cu.ma/generate/save_subtitle.php`, {
       episode_id: episodeId,
@@ -1876,8 +3093,7 @@ async function generateSubtitle(chatId, episodeId, lang = "English", sock) {
     });
 
     // 7️⃣ Store in DB (same endpoint)
-    const subtitleURL =
-      `https://kiroflix.cu.ma/generate/episodes/${episodeId}/${filename}`;
+    const subtitleURL = subtitleURLFor(episodeId, lang);
 
     await axios.post(`https://kiroflix.site/backend/store_subtitle.php`, {
       episode_id: episodeId,
@@ -1887,23 +3103,114 @@ async function generateSubtitle(chatId, episodeId, lang = "English", sock) {
 
     // ✅ Final update
     await sock.sendMessage(chatId, {
-      text: `✅ ${lang} subtitle ready!\n${subtitleURL}`,
+      text: t(chatId, "subs.ready", { language: lang, url: subtitleURL }),
       edit: progressKey
     });
 
-    return subtitleURL;
+    return { url: subtitleURL, vtt: finalSubtitle };
 
   } catch (err) {
     console.error("❌ Subtitle generation failed:", err.message);
 
     await sock.sendMessage(chatId, {
-      text: `❌ Failed to generate ${lang} subtitle`,
+      text: t(chatId, "subs.failed", { language: lang }),
       edit: progressKey
     });
 
     return null;
   }
 }
+
+// "mob psycho 100 ep 3 french" → { title: "mob psycho 100", number: 3, langInput: "french" }
+// The episode needs its marker (ep 3, ep3, episode 3, e3): titles can end with a number
+function parseSubsQuery(query) {
+  const tokens = query.split(/\s+/);
+
+  for (let i = tokens.length - 1; i > 0; i--) {
+    const joined = tokens[i].match(/^(?:ep|e)(\d+)$/i);
+    const marker = /^(?:ep|episode|e)$/i.test(tokens[i]) && /^\d+$/.test(tokens[i + 1] || "");
+
+    if (!joined && !marker) continue;
+
+    return {
+      title: tokens.slice(0, i).join(" "),
+      number: Number(joined ? joined[1] : tokens[i + 1]),
+      langInput: tokens.slice(joined ? i + 1 : i + 2).join(" ")
+    };
+  }
+
+  return null;
+}
+
+// .subs <anime> ep <episode>          → available languages
+// .subs <anime> ep <episode> <lang>   → existing or new subtitle as .vtt + .srt + .ass
+async function handleSubsCommand(sock, from, query, thinkingKey) {
+  const parsed = parseSubsQuery(query);
+
+  if (!parsed) {
+    await sock.sendMessage(from, {
+      text: t(from, "subs.usage"),
+      edit: thinkingKey
+    });
+    return;
+  }
+
+  const { title, number, langInput } = parsed;
+
+  const results = await searchAnime(title);
+  if (!results.length) {
+    await sock.sendMessage(from, { text: t(from, "anime.notFound"), edit: thinkingKey });
+    return;
+  }
+
+  const anime = await chooseBestAnime({ title }, results);
+  const episode = findEpisode(await getEpisodes(anime.id), number);
+
+  if (!episode) {
+    await sock.sendMessage(from, { text: t(from, "subs.episodeNotFound", { number, title: anime.title }), edit: thinkingKey });
+    return;
+  }
+
+  const subs = await fetchAvailableSubtitles(episode.id);
+
+  // -------------------- LIST --------------------
+  if (!langInput) {
+    const list = subs.length ? subs.map(s => `• ${s.lang}`).join("\n") : t(from, "subs.none");
+
+    await sock.sendMessage(from, {
+      text: t(from, "subs.list", { title: anime.title, episode: episode.number, list, query: title, number }),
+      edit: thinkingKey
+    });
+    return;
+  }
+
+  // -------------------- GET / GENERATE --------------------
+  const lang = subtitleLanguageName(langInput);
+  const baseName = `${normalize(anime.title)}_ep${episode.number}_${lang.toLowerCase()}`;
+  const existing = subs.find(s => s.lang?.toLowerCase() === lang.toLowerCase());
+
+  if (existing) {
+    await sock.sendMessage(from, { text: t(from, "subs.existing", { language: lang }), edit: thinkingKey });
+
+    try {
+      const { data: vtt } = await axios.get(existing.url || subtitleURLFor(episode.id, lang), {
+        responseType: "text",
+        timeout: 30000
+      });
+
+      await sendSubtitleFiles(sock, from, baseName, vtt);
+    } catch (err) {
+      console.error("❌ Subtitle download failed:", err.message);
+      await sock.sendMessage(from, { text: t(from, "subs.downloadFailed", { language: lang }) });
+    }
+    return;
+  }
+
+  await sock.sendMessage(from, { text: t(from, "subs.episode", { title: anime.title, number: episode.number }), edit: thinkingKey });
+
+  const generated = await generateSubtitle(from, episode.id, lang, sock);
+  if (generated) await sendSubtitleFiles(sock, from, baseName, generated.vtt);
+}
 async function handleAnimeRequest(sock, intent, originalText, from, thinkingKey) {
   try {
     // 🔄 Update thinking message
@@ -1912,28 +3219,67 @@ async function handleAnimeRequest(sock, intent, originalText, from, thinkingKey)
       edit: thinkingKey
     });
 
-    // 🔎 Search anime
-    const results = await searchAnime(intent.title);
-    if (!results.length) {
-      await sock.sendMessage(from, { text: "❌ Anime not found" });
-      return;
+    // 🧠 Remembered from the DM memory / picked from a choice list, otherwise search
+    let anime = intent.anime;
+    let results = intent.results || [];
+
+    if (!anime) {
+      results = await searchAnime(intent.title);
+      if (!results.length) {
+        await sock.sendMessage(from, { text: "❌ Anime not found" });
+        return;
+      }
+
+      const match = await matchAnime(intent, results);
+
+      // 🤔 Several seasons / movies fit → let the user pick
+      if (match.unsure) {
+        await askAnimeChoice(sock, from, { ...intent, results }, originalText, match.candidates, thinkingKey);
+        return;
+      }
+
+      anime = match.anime;
     }
 
-    const anime = await chooseBestAnime(intent, results);
-    const episodes = await getEpisodes(anime.id);
+    let episodes = await getEpisodes(anime.id);
 
     if (!episodes.length) {
       await sock.sendMessage(from, { text: "❌ Episodes unavailable" });
       return;
     }
 
-    // 🎯 Find requested episode
-    let episode = episodes.find(
-      e => Number(e.number) === Number(intent.episode)
-    );
+    // 📦 "episodes 1-5" → compact list of links
+    if (intent.episodeEnd > intent.episode) {
+      const lastSent = await sendEpisodeBatch(sock, from, anime, episodes, intent.episode, intent.episodeEnd, thinkingKey);
+
+      if (lastSent) {
+        rememberTurn(from, originalText, `Sent ${anime.title} episodes ${intent.episode}-${intent.episodeEnd}`, {
+          key: "anime",
+          value: {
+            title: anime.title,
+            episode: Number(lastSent.number),
+            anime: { id: anime.id, title: anime.title, poster: anime.poster }
+          }
+        });
+      }
+      return;
+    }
+
+    // 🎯 Find requested episode (season entry numbering or absolute numbering)
+    let episode = findEpisode(episodes, intent.episode);
 
     let notReleasedMessage = "";
 
+    // 🔢 "episode 39" past the end of season 1 → the season it belongs to
+    if (!episode && !intent.season && (seasonOf(anime.title) || 1) === 1) {
+      const mapped = await resolveAbsoluteEpisode(anime, results, intent.episode);
+
+      if (mapped) {
+        notReleasedMessage = `ℹ️ Episode ${intent.episode} is episode ${mapped.episode.number} of ${mapped.anime.title}\n\n`;
+        ({ anime, episodes, episode } = mapped);
+      }
+    }
+
     if (!episode) {
       const latestEpisode = episodes.reduce((max, ep) =>
         Number(ep.number) > Number(max.number) ? ep : max
@@ -1980,6 +3326,15 @@ Here is the latest available 👇
       aiReply: caption
     });
 
+    rememberTurn(from, originalText, caption, {
+      key: "anime",
+      value: {
+        title: anime.title,
+        episode: Number(episode.number),
+        anime: { id: anime.id, title: anime.title, poster: anime.poster }
+      }
+    });
+
     // 🎯 Subtitle logic
     if (intent.subtitle) {
       const lang = intent.subtitleLang || "English";
@@ -1994,7 +3349,11 @@ Here is the latest available 👇
           text: `🎯 Subtitle already available: ${existing.lang}`
         });
       } else {
-        await generateSubtitle(from, episode.id, lang, sock);
+        const generated = await generateSubtitle(from, episode.id, lang, sock);
+
+        if (generated) {
+          await sendSubtitleFiles(sock, from, `${normalize(anime.title)}_ep${episode.number}_${lang.toLowerCase()}`, generated.vtt);
+        }
       }
     }
 
@@ -2032,6 +3391,8 @@ async function handleGeneralRequest(sock, text, from, thinkingKey, context) {
       aiReply: reply
     });
 
+    rememberTurn(from, text, reply);
+
   } catch (err) {
     logError("GENERAL HANDLER", err);
     await sock.sendMessage(from, {
@@ -2040,66 +3401,405 @@ async function handleGeneralRequest(sock, text, from, thinkingKey, context) {
     });
   }
 }
-async function checkNewEpisodes(sock) {
-  try {
-    console.log("⏱ Checking for new episodes...");
+// -------------------- RELEASES --------------------
+// Episodes / chapters already announced, kept on disk (see releaseTracker.js)
+const releaseTracker = createReleaseTracker({
+  file: path.join(__dirname, "release_tracker.json"),
+  log: (context, err) => logError(context, err)
+});
+const RELEASE_CATCHUP_AFTER = 2 * 60 * 60 * 1000; // workers run at least hourly, more means downtime
+const RELEASE_CATCHUP_MAX = 15;                   // releases listed in a catch-up announcement
 
-    // 1️⃣ Fetch last released episodes
-    const { data } = await axios.get("https://kiroflix.site/backend/lastep-v2.php", { timeout: 120000 });
-    if (!data?.success || !data.results?.length) {
-      console.log("⚠️ No new episodes fetched");
-      return;
-    }
+function isReleaseCatchUp(lastCheck) {
+  return lastCheck > 0 && Date.now() - lastCheck > RELEASE_CATCHUP_AFTER;
+}
 
-    // 2️⃣ Filter out episodes already processed
-    const newEpisodes = data.results.filter(ep => !processedEpisodes.has(ep.episode_id));
+// "🎬 One Piece: Episode 1100, Episode 1101" → one line per title, capped
+function groupReleases(chatId, items, getTitle, getLabel, icon) {
+  const groups = new Map();
 
-    if (!processedEpisodes.size) {
-      // First run: store all episodes without sending
-      data.results.forEach(ep => processedEpisodes.add(ep.episode_id));
-      console.log(`ℹ️ First run: stored ${data.results.length} episodes. No messages sent.`);
-      return;
-    }
+  for (const item of items.slice(0, RELEASE_CATCHUP_MAX)) {
+    const title = getTitle(item);
+    if (!groups.has(title)) groups.set(title, []);
+    groups.get(title).push(getLabel(item));
+  }
 
-    if (!newEpisodes.length) {
-      console.log("✅ No new episodes to send");
-      return;
-    }
+  const lines = [...groups].map(([title, labels]) => `${icon} ${title}: ${labels.join(", ")}`);
+  if (items.length > RELEASE_CATCHUP_MAX) lines.push(t(chatId, "release.more", { count: items.length - RELEASE_CATCHUP_MAX }));
 
-    console.log(`📢 Found ${newEpisodes.length} new episodes`);
+  return lines.join("\n");
+}
 
-    // 3️⃣ Mark new episodes as processed
-    newEpisodes.forEach(ep => processedEpisodes.add(ep.episode_id));
+// -------------------- FOLLOWS --------------------
+// Personal watchlist kept per DM user: .follow / .followmanhwa / .following / .unfollow
+// The episode and chapter workers DM every follower when a followed title gets a release.
+const FOLLOWS_FILE = path.join(__dirname, "follows.json");
+const MAX_FOLLOWS = 30; // per user and per type
 
-    // 4️⃣ Filter groups where 'lastepisodes' command is ON
-    const eligibleGroups = Object.entries(groupCommandsCache)
-      .filter(([groupId, cmds]) => cmds.lastepisodes === "on")
-      .map(([groupId]) => groupId);
+function loadFollows() {
+  try {
+    if (!fs.existsSync(FOLLOWS_FILE)) return {};
+    return JSON.parse(fs.readFileSync(FOLLOWS_FILE));
+  } catch {
+    return {};
+  }
+}
 
-    if (!eligibleGroups.length) {
-      console.log("⚠️ No groups with last episodes enabled");
-      return;
-    }
+let follows = loadFollows(); // userJid -> { anime: [{ id, title, poster, since }], manhwa: [{ id, hash_id, slug, title, pdf, since }] }
 
-    // 5️⃣ Prepare the message
-    const messageLines = newEpisodes.map(ep => `🎬 ${ep.anime_title} - ${ep.episode_title}\n▶️ Stream not available`);
-    const fullMessage = messageLines.join("\n\n");
-    const lastPosterEpisode = [...newEpisodes].reverse().find(ep => ep.poster1);
-    const lastPoster = lastPosterEpisode?.poster1 || null;
+function saveFollows() {
+  try {
+    fs.writeFileSync(FOLLOWS_FILE, JSON.stringify(follows, null, 2));
+  } catch (err) {
+    console.error("❌ Failed to save follows:", err.message);
+  }
+}
 
-    console.log(`ℹ️ Sending new episodes to ${eligibleGroups.length} groups`);
+function getFollows(userJid, type) {
+  return follows[userJid]?.[type] || [];
+}
 
-    // 6️⃣ Send to groups with throttling to avoid bans
-    for (const groupId of eligibleGroups) {
-      try {
-        if (lastPoster) {
-          await sock.sendMessage(groupId, {
-            image: { url: lastPoster },
-            caption: `📢 New episodes released!\n\n${fullMessage}`
-          });
+// Returns "exists", "limit" or null when added
+function addFollow(userJid, type, item) {
+  const list = getFollows(userJid, type);
+
+  if (list.some(f => String(f.id) === String(item.id))) return "exists";
+  if (list.length >= MAX_FOLLOWS) return "limit";
+
+  if (!follows[userJid]) follows[userJid] = {};
+  follows[userJid][type] = [...list, { ...item, since: Date.now() }];
+  saveFollows();
+  return null;
+}
+
+// query = list number or part of the title
+function removeFollow(userJid, type, query) {
+  const list = getFollows(userJid, type);
+  const index = /^\d+$/.test(query)
+    ? Number(query) - 1
+    : list.findIndex(f => normalizeText(f.title).includes(normalizeText(query)));
+
+  if (index < 0 || index >= list.length) return null;
+
+  const [removed] = list.splice(index, 1);
+  follows[userJid][type] = list;
+  if (!Object.values(follows[userJid]).some(l => l.length)) delete follows[userJid];
+  saveFollows();
+  return removed;
+}
+
+// userJid -> followed item, for every user following something that matches
+function findFollowers(type, matches) {
+  const result = [];
+
+  for (const [userJid, lists] of Object.entries(follows)) {
+    const item = (lists[type] || []).find(matches);
+    if (item) result.push([userJid, item]);
+  }
+
+  return result;
+}
+
+// The lastep feed only has anime_title → compare like seasonEntries does:
+// punctuation and season markers ignored, so a follow covers the later seasons too
+function isFollowedAnime(item, ep) {
+  const base = baseTitle(ep.anime_title || "");
+  return !!base && base === baseTitle(item.title);
+}
+
+function isFollowedManhwa(item, ch) {
+  if (ch.slug && ch.slug === item.slug) return true;
+  return normalize(ch.title || "") === normalize(item.title);
+}
+
+const FOLLOW_TYPES = {
+  anime: { label: "anime", follow: ".follow", unfollow: ".unfollow" },
+  manhwa: { label: "manhwa", follow: ".followmanhwa", unfollow: ".unfollowmanhwa" }
+};
+
+// Anime / manhwa to follow: the title searched, or the one we were just talking about
+async function resolveFollowTarget(userJid, type, query) {
+  if (type === "anime") {
+    if (!query) return conversationStore.getState(userJid, "anime")?.anime || null;
+
+    const results = await searchAnime(query);
+    if (!results.length) return null;
+
+    const best = await chooseBestAnime({ title: query }, results);
+    return { id: best.id, title: best.title, poster: best.poster || null };
+  }
+
+  if (!query) {
+    const manhwa = conversationStore.getState(userJid, "manhwa")?.manhwa;
+    return manhwa ? { id: manhwa.hash_id, hash_id: manhwa.hash_id, slug: manhwa.slug, title: manhwa.title } : null;
+  }
+
+  const results = await searchManhwa(query);
+  if (!results.length) return null;
+
+  const best = await chooseBestManhwa({ title: query }, results);
+  return best ? { id: best.hash_id, hash_id: best.hash_id, slug: best.slug, title: best.title } : null;
+}
+
+// .follow / .followmanhwa [pdf] / .following / .unfollow / .unfollowmanhwa
+async function handleFollowDM(sock, userJid, text) {
+  const [rawCommand, ...rest] = text.trim().split(/\s+/);
+  const command = rawCommand.toLowerCase();
+  const type = command.endsWith("manhwa") ? "manhwa" : "anime";
+  const { label, follow, unfollow } = FOLLOW_TYPES[type];
+
+  // -------------------- LIST --------------------
+  if (command === ".following") {
+    const sections = Object.entries(FOLLOW_TYPES)
+      .map(([key, info]) => {
+        const list = getFollows(userJid, key);
+        if (!list.length) return null;
+
+        const lines = list.map((f, i) => `${i + 1}. ${f.title}${f.pdf ? " 📄" : ""}`);
+        return t(userJid, "follow.list", { label: info.label, list: lines.join("\n"), command: info.unfollow });
+      })
+      .filter(Boolean);
+
+    await sock.sendMessage(userJid, {
+      text: sections.length ? sections.join("\n\n") : t(userJid, "follow.empty")
+    });
+    return;
+  }
+
+  // -------------------- UNFOLLOW --------------------
+  if (command === unfollow) {
+    const query = rest.join(" ");
+
+    if (!query) {
+      await sock.sendMessage(userJid, { text: t(userJid, "follow.unfollowUsage", { command: unfollow }) });
+      return;
+    }
+
+    const removed = removeFollow(userJid, type, query);
+
+    await sock.sendMessage(userJid, {
+      text: removed
+        ? t(userJid, "follow.removed", { title: removed.title })
+        : t(userJid, "follow.notInList")
+    });
+    return;
+  }
+
+  // -------------------- FOLLOW --------------------
+  // ".followmanhwa solo leveling pdf" → chapters arrive as PDF
+  const pdf = type === "manhwa" && rest.at(-1)?.toLowerCase() === "pdf";
+  const query = (pdf ? rest.slice(0, -1) : rest).join(" ");
+
+  const target = await resolveFollowTarget(userJid, type, query);
+
+  if (!target) {
+    await sock.sendMessage(userJid, {
+      text: query
+        ? t(userJid, type === "anime" ? "anime.notFound" : "follow.manhwaNotFound")
+        : t(userJid, "follow.usage", { command: follow, pdf: type === "manhwa" ? " [pdf]" : "" })
+    });
+    return;
+  }
+
+  const error = addFollow(userJid, type, { ...target, ...(type === "manhwa" ? { pdf } : {}) });
+
+  if (error === "exists") {
+    await sock.sendMessage(userJid, { text: t(userJid, "follow.exists", { title: target.title }) });
+    return;
+  }
+
+  if (error === "limit") {
+    await sock.sendMessage(userJid, {
+      text: t(userJid, "follow.limit", { max: MAX_FOLLOWS, label, command: unfollow })
+    });
+    return;
+  }
+
+  const delivery = type === "anime"
+    ? t(userJid, "follow.deliveryAnime")
+    : pdf
+      ? t(userJid, "follow.deliveryPdf")
+      : t(userJid, "follow.deliveryChapters", { command: follow, title: target.title });
+
+  await sock.sendMessage(userJid, {
+    text: t(userJid, "follow.added", { title: target.title, delivery })
+  });
+}
+
+// DM followers of the titles in a batch of new episodes
+async function notifyAnimeFollowers(sock, newEpisodes) {
+  for (const ep of newEpisodes) {
+    const followers = findFollowers("anime", item => isFollowedAnime(item, ep));
+    if (!followers.length) continue;
+
+    console.log(`🔔 ${ep.anime_title} - ${ep.episode_title}: ${followers.length} follower(s)`);
+
+    const stream = await generateStream(ep.episode_id);
+
+    for (const [userJid, item] of followers) {
+      try {
+        const caption =
+`${t(userJid, "follow.newEpisode", { title: item.title })}
+
+📺 ${ep.episode_title}
+${stream ? `▶️ ${stream.player}` : t(userJid, "follow.streamNotReady")}
+
+🔕 .unfollow ${item.title}`;
+
+        const poster = ep.poster1 || item.poster;
+
+        if (poster) {
+          await sock.sendMessage(userJid, { image: { url: poster }, caption });
+        } else {
+          await sock.sendMessage(userJid, { text: caption });
+        }
+
+        // 🔹 Throttle DMs to avoid bans
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+      } catch (err) {
+        console.error(`❌ Failed to notify follower ${userJid}:`, err.message);
+      }
+    }
+  }
+}
+
+// DM followers of the series in a batch of new chapters (PDF when they asked for it)
+async function notifyManhwaFollowers(sock, newChapters) {
+  for (const ch of newChapters) {
+    const followers = findFollowers("manhwa", item => isFollowedManhwa(item, ch));
+    if (!followers.length) continue;
+
+    console.log(`🔔 ${ch.title} - Chapter ${ch.latest_chapter}: ${followers.length} follower(s)`);
+
+    const poster = ch.poster?.large
+      ? "https://kiroflix.site/backend/mangaposterproxy.php?url=" + ch.poster.large
+      : null;
+
+    // Built once per chapter, only if someone wants the PDF
+    let pdfBuffer = null;
+    let failedPages = 0;
+
+    if (followers.some(([, item]) => item.pdf)) {
+      try {
+        const [, item] = followers.find(([, f]) => f.pdf);
+        const chapter = await getChapter(item.hash_id, item.slug, ch.latest_chapter);
+        const imageUrls = chapter ? await getChapterImages(chapterPathFor(item, chapter)) : [];
+
+        if (imageUrls.length) {
+          ({ pdf: pdfBuffer, failed: failedPages } = await buildChapterPDF(imageUrls, sock, null));
+        }
+      } catch (err) {
+        console.error(`❌ Follower PDF failed for ${ch.title}:`, err.message);
+      }
+    }
+
+    for (const [userJid, item] of followers) {
+      try {
+        const caption =
+`${t(userJid, "follow.newChapter", { title: item.title })}
+
+📚 ${t(userJid, "release.chapter", { number: ch.latest_chapter })}
+${t(userJid, "release.read", { url: `https://comix.to/manga/${ch.slug}` })}
+
+🔕 .unfollowmanhwa ${item.title}`;
+
+        if (poster) {
+          await sock.sendMessage(userJid, { image: { url: poster }, caption });
+        } else {
+          await sock.sendMessage(userJid, { text: caption });
+        }
+
+        if (item.pdf) {
+          await sock.sendMessage(userJid, pdfBuffer
+            ? {
+              document: pdfBuffer,
+              mimetype: "application/pdf",
+              fileName: `${item.slug}_chapter_${ch.latest_chapter}.pdf`,
+              ...(failedPages ? { caption: t(userJid, "pdf.pagesFailed", { count: failedPages }) } : {})
+            }
+            : { text: t(userJid, "follow.pdfFailed", { title: item.title, number: ch.latest_chapter }) });
+        }
+
+        // 🔹 Throttle DMs to avoid bans
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+      } catch (err) {
+        console.error(`❌ Failed to notify follower ${userJid}:`, err.message);
+      }
+    }
+  }
+}
+
+async function checkNewEpisodes(sock) {
+  try {
+    console.log("⏱ Checking for new episodes...");
+
+    // 1️⃣ Fetch last released episodes
+    const { data } = await axios.get("https://kiroflix.site/backend/lastep-v2.php", { timeout: 120000 });
+    if (!data?.success || !data.results?.length) {
+      console.log("⚠️ No new episodes fetched");
+      return;
+    }
+
+    // 2️⃣ Keep episodes never announced (also marks them as processed)
+    const { seeded, fresh: newEpisodes, lastCheck } =
+      releaseTracker.check("episodes", data.results, ep => ep.episode_id);
+
+    if (seeded) {
+      // Very first run: store all episodes without sending
+      console.log(`ℹ️ First run: stored ${data.results.length} episodes. No messages sent.`);
+      return;
+    }
+
+    if (!newEpisodes.length) {
+      console.log("✅ No new episodes to send");
+      return;
+    }
+
+    // 3️⃣ Bot was offline → grouped catch-up instead of the usual list
+    const catchUp = isReleaseCatchUp(lastCheck);
+
+    console.log(`📢 Found ${newEpisodes.length} new episodes${catchUp ? " (catch-up)" : ""}`);
+
+    // 🔔 Personal watchlists (DM), independent from group settings
+    await notifyAnimeFollowers(sock, catchUp ? newEpisodes.slice(0, RELEASE_CATCHUP_MAX) : newEpisodes);
+
+    // 4️⃣ Filter groups where 'lastepisodes' command is ON
+    const eligibleGroups = Object.entries(groupCommandsCache)
+      .filter(([groupId, cmds]) => cmds.lastepisodes === "on" && !isGroupMuted(groupId))
+      .map(([groupId]) => groupId);
+
+    if (!eligibleGroups.length) {
+      console.log("⚠️ No groups with last episodes enabled");
+      return;
+    }
+
+    // 5️⃣ Prepare the message, in each group's language
+    const releaseMessage = groupId => {
+      const header = t(groupId, catchUp ? "release.catchUp" : "release.newEpisodes");
+      const body = catchUp
+        ? groupReleases(groupId, newEpisodes, ep => ep.anime_title, ep => ep.episode_title, "🎬")
+        : newEpisodes.map(ep => `🎬 ${ep.anime_title} - ${ep.episode_title}\n${t(groupId, "release.streamUnavailable")}`).join("\n\n");
+
+      return `${header}\n\n${body}`;
+    };
+    const lastPosterEpisode = [...newEpisodes].reverse().find(ep => ep.poster1);
+    const lastPoster = lastPosterEpisode?.poster1 || null;
+
+    console.log(`ℹ️ Sending new episodes to ${eligibleGroups.length} groups`);
+
+    // 6️⃣ Send to groups with throttling to avoid bans
+    for (const groupId of eligibleGroups) {
+      try {
+        if (lastPoster) {
+          await sock.sendMessage(groupId, {
+            image: { url: lastPoster },
+            caption: releaseMessage(groupId)
+          });
         } else {
           await sock.sendMessage(groupId, {
-            text: `📢 New episodes released!\n\n${fullMessage}`
+            text: releaseMessage(groupId)
           });
         }
 
@@ -2119,8 +3819,6 @@ async function checkNewEpisodes(sock) {
     console.error("❌ Episode worker error:", err.message);
   }
 }
-const processedChapters = new Set();
-
 async function checkNewChapters(sock) {
   try {
     console.log("⏱ Checking for new manhwa chapters...");
@@ -2138,17 +3836,12 @@ async function checkNewChapters(sock) {
 
     const chapters = data.result.items;
 
-    // 2️⃣ Filter already processed
-    const newChapters = chapters.filter(
-      ch => !processedChapters.has(ch.manga_id + "-" + ch.latest_chapter)
-    );
-
-    if (!processedChapters.size) {
-      // First run → store only
-      chapters.forEach(ch =>
-        processedChapters.add(ch.manga_id + "-" + ch.latest_chapter)
-      );
+    // 2️⃣ Keep chapters never announced (also marks them as processed)
+    const { seeded, fresh: newChapters, lastCheck } =
+      releaseTracker.check("chapters", chapters, ch => ch.manga_id + "-" + ch.latest_chapter);
 
+    if (seeded) {
+      // Very first run → store only
       console.log(`ℹ️ First run: stored ${chapters.length} chapters. No messages sent.`);
       return;
     }
@@ -2158,16 +3851,17 @@ async function checkNewChapters(sock) {
       return;
     }
 
-    console.log(`📢 Found ${newChapters.length} new chapters`);
+    // 3️⃣ Bot was offline → grouped catch-up instead of the usual list
+    const catchUp = isReleaseCatchUp(lastCheck);
 
-    // 3️⃣ Mark processed
-    newChapters.forEach(ch =>
-      processedChapters.add(ch.manga_id + "-" + ch.latest_chapter)
-    );
+    console.log(`📢 Found ${newChapters.length} new chapters${catchUp ? " (catch-up)" : ""}`);
+
+    // 🔔 Personal follow lists (DM), independent from group settings
+    await notifyManhwaFollowers(sock, catchUp ? newChapters.slice(0, RELEASE_CATCHUP_MAX) : newChapters);
 
     // 4️⃣ Filter groups where 'manhwarelease' is ON
     const eligibleGroups = Object.entries(groupCommandsCache)
-      .filter(([groupId, cmds]) => cmds.manhwarelease === "on")
+      .filter(([groupId, cmds]) => cmds.manhwarelease === "on" && !isGroupMuted(groupId))
       .map(([groupId]) => groupId);
 
     if (!eligibleGroups.length) {
@@ -2175,12 +3869,18 @@ async function checkNewChapters(sock) {
       return;
     }
 
-    // 5️⃣ Prepare message
-    const messageLines = newChapters.map(ch =>
-      `📖 ${ch.title} - Chapter ${ch.latest_chapter}\n▶️ Read: https://comix.to/manga/${ch.slug}`
-    );
+    // 5️⃣ Prepare message, in each group's language
+    const releaseMessage = groupId => {
+      const header = t(groupId, catchUp ? "release.catchUp" : "release.newChapters");
+      const chapter = ch => t(groupId, "release.chapter", { number: ch.latest_chapter });
+      const body = catchUp
+        ? groupReleases(groupId, newChapters, ch => ch.title, chapter, "📖")
+        : newChapters.map(ch =>
+          `📖 ${ch.title} - ${chapter(ch)}\n${t(groupId, "release.read", { url: `https://comix.to/manga/${ch.slug}` })}`
+        ).join("\n\n");
 
-    const fullMessage = messageLines.join("\n\n");
+      return `${header}\n\n${body}`;
+    };
 
     const lastPosterChapter = [...newChapters].reverse().find(ch => ch.poster?.large);
 const lastPoster = lastPosterChapter?.poster?.large
@@ -2194,11 +3894,11 @@ const lastPoster = lastPosterChapter?.poster?.large
         if (lastPoster) {
           await sock.sendMessage(groupId, {
             image: { url: lastPoster },
-            caption: `📢 New manhwa chapters released!\n\n${fullMessage}`
+            caption: releaseMessage(groupId)
           });
         } else {
           await sock.sendMessage(groupId, {
-            text: `📢 New manhwa chapters released!\n\n${fullMessage}`
+            text: releaseMessage(groupId)
           });
         }
 
@@ -2277,6 +3977,22 @@ async function handleWallpaperRequest(sock, query, from, thinkingKey) {
     });
   }
 }
+// 📅 Daily AI quota (per user + per group budget), then the "Thinking..." message.
+// Returns its key, or null when the quota is reached (the member was told)
+async function startAIRequest(sock, from, groupId, requester, quoted) {
+  const quotaError = checkAIQuota(groupId, requester);
+
+  if (quotaError) {
+    await sock.sendMessage(from, { text: quotaError }, { quoted });
+    return null;
+  }
+
+  recordAIRequest(groupId, requester);
+
+  const thinkingMsg = await sock.sendMessage(from, { text: "🤔 Thinking..." }, { quoted });
+  return thinkingMsg.key;
+}
+
 async function handleMessage(sock, msg) {
   const quotedMsg = msg.quoted || msg;
 
@@ -2297,10 +4013,6 @@ async function handleMessage(sock, msg) {
   }
   lastMessageTime.set(from, now);
 
-  // 📅 Daily limit check
-  const today = new Date().toDateString();
-  const userData = dailyUsage.get(from);
-
   // 🔒 User lock
   if (userLocks.get(from)) {
     console.log(`[LOCK] Skipping message from ${from}`);
@@ -2321,6 +4033,7 @@ async function handleMessage(sock, msg) {
     const lower = trimmed.toLowerCase();
 
     // -------------------- GROUP COMMAND DETECTION --------------------
+    // (.animeinfo, .episodes and .subs go through commandRouter in groups)
     const groupCommands = [".animewatch", ".manhwaread", ".ask", ".getwallpaper"];
     let matchedCommand = null;
 
@@ -2338,9 +4051,8 @@ async function handleMessage(sock, msg) {
       }
     }
 
-    // 🧠 Thinking message
-    const thinkingMsg = await sock.sendMessage(from, { text: "🤔 Thinking..." }, { quoted: quotedMsg });
-    const thinkingKey = thinkingMsg.key;
+    const thinkingKey = await startAIRequest(sock, from, isGroup ? from : null, msg.key?.participant || from, quotedMsg);
+    if (!thinkingKey) return;
 
     // -------------------- COMMAND HANDLERS --------------------
     if (matchedCommand === ".animewatch") {
@@ -2389,6 +4101,36 @@ async function handleMessage(sock, msg) {
   return;
 }
 
+    if (!isGroup && lower.startsWith(".episodes")) {
+      const query = trimmed.replace(/^\.episodes\s*/i, "").trim();
+      if (!query) {
+        await sock.sendMessage(from, { text: t(from, "episodes.usage"), edit: thinkingKey });
+        return;
+      }
+      await handleEpisodeList(sock, from, query, thinkingKey);
+      return;
+    }
+
+    if (!isGroup && lower.startsWith(".animeinfo")) {
+      const query = trimmed.replace(/^\.animeinfo\s*/i, "").trim();
+      if (!query) {
+        await sock.sendMessage(from, { text: t(from, "animeinfo.usage"), edit: thinkingKey });
+        return;
+      }
+      await handleAnimeInfo(sock, from, query, thinkingKey);
+      return;
+    }
+
+    if (!isGroup && lower.startsWith(".subs")) {
+      const query = trimmed.replace(/^\.subs\s*/i, "").trim();
+      if (!query) {
+        await sock.sendMessage(from, { text: t(from, "subs.usage"), edit: thinkingKey });
+        return;
+      }
+      await handleSubsCommand(sock, from, query, thinkingKey);
+      return;
+    }
+
     if (matchedCommand === ".manhwaread") {
       const manhwaText = trimmed.replace(/^\.manhwaread\s*/i, "").trim();
       if (!manhwaText) {
@@ -2421,6 +4163,19 @@ async function handleMessage(sock, msg) {
 
     // -------------------- PRIVATE CHAT / DMs --------------------
     if (!isGroup) {
+      // 🧠 "next episode" & co. straight from memory
+      const remembered = resolveFromMemory(from, trimmed);
+
+      if (remembered?.type === "anime") {
+        await handleAnimeRequest(sock, remembered.intent, trimmed, from, thinkingKey);
+        return;
+      }
+
+      if (remembered?.type === "manhwa") {
+        await handleManhwaRequest(sock, trimmed, from, thinkingKey, remembered.intent);
+        return;
+      }
+
       const typeResult = await detectMessageType(from, trimmed);
       const type = typeResult.type;
       const resolvedText = typeResult.resolvedMessage;
@@ -2566,7 +4321,7 @@ ${a.synopsis}`
     // ✅ NORMAL RUN → SEND TO GROUPS WITH animerec ON
 
     const groups = Object.keys(groupCommandsCache).filter(
-      gid => groupCommandsCache[gid]?.animerec === "on" && groupCommandsCache[gid]?.bot !== "off"
+      gid => groupCommandsCache[gid]?.animerec === "on" && groupCommandsCache[gid]?.bot !== "off" && !isGroupMuted(gid)
     );
 
     console.log(`📢 Sending recommendations to ${groups.length} groups`);
@@ -2738,7 +4493,7 @@ ${manhwa.synopsis}`;
 
     // ---------------- NORMAL GROUP SEND ----------------
     const groups = Object.keys(groupCommandsCache).filter(
-      gid => groupCommandsCache[gid]?.manhwadaily === "on" && groupCommandsCache[gid]?.bot !== "off"
+      gid => groupCommandsCache[gid]?.manhwadaily === "on" && groupCommandsCache[gid]?.bot !== "off" && !isGroupMuted(gid)
     );
 
     console.log(`📢 Sending manhwa recommendation to ${groups.length} groups`);
@@ -2868,7 +4623,8 @@ to download wallpaper`;
 
       return (
         cfg?.wallpaperdaily === "on" &&   // wallpaper enabled
-        cfg?.bot !== "off"                // bot NOT disabled
+        cfg?.bot !== "off" &&             // bot NOT disabled
+        !isGroupMuted(gid)                // bot NOT muted
       );
 
     });
@@ -2957,6 +4713,15 @@ async function updateCommandStatus(groupId, adminId, command, action) {
     };
   }
 }
+// Saves a toggle on the backend, the cache only follows when it was stored
+async function setCommandStatus(groupId, adminId, command, action) {
+  const result = await updateCommandStatus(groupId, adminId, command, action);
+  if (result?.status === "error") return false;
+
+  if (!groupCommandsCache[groupId]) groupCommandsCache[groupId] = {};
+  groupCommandsCache[groupId][command] = action;
+  return true;
+}
 const activeGames = {};
 const groupActivity = {};
 const lastGameTime = {};
@@ -2991,7 +4756,7 @@ async function fetchTrendingAnime() {
 
   return data?.data?.Page?.media || [];
 }
-async function generateGameQuestions(animeList) {
+async function generateGameQuestions(animeList, language = "English") {
 
 const prompt = `
 Create an anime quiz game.
@@ -3004,6 +4769,7 @@ Rules:
 - include the correct answer
 - short questions
 - anime themed
+- write questions and answers in ${language}
 
 Return JSON format only:
 
@@ -3017,18 +4783,24 @@ Return JSON format only:
 }
 `;
 
-const result = await askAI(prompt);
-
-try {
-  const clean = result
-.replace(/```json/g,"")
-.replace(/```/g,"")
-.trim();
-
-return JSON.parse(clean);
-} catch {
-  return null;
-}
+return askAIJson(prompt, {
+  type: "object",
+  properties: {
+    questions: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          question: { type: "string" },
+          answer: { type: "string" }
+        },
+        required: ["question", "answer"]
+      }
+    }
+  },
+  required: ["questions"]
+}, { task: "game", fallback: null });
 
 }
 async function startAnimeGame(sock, groupId) {
@@ -3041,7 +4813,7 @@ async function startAnimeGame(sock, groupId) {
   const anime = await fetchTrendingAnime();
   if (!anime.length) return;
 
-  const game = await generateGameQuestions(anime);
+  const game = await generateGameQuestions(anime, t(groupId, "language.english"));
   if (!game) return;
 
   activeGames[groupId] = {
@@ -3053,13 +4825,7 @@ async function startAnimeGame(sock, groupId) {
 };
 
   sock.sendMessage(groupId,{
-    text:`🎮 *Anime Quiz Started!*
-
-10 Questions
-⏱ 30 second per question
-Reply with answers!
-
-Good luck!`
+    text: t(groupId, "quiz.started")
   });
 
   askNextQuestion(sock, groupId);
@@ -3078,7 +4844,7 @@ async function askNextQuestion(sock, groupId) {
   game.userReplies = {};
 
   const sent = await sock.sendMessage(groupId, {
-    text: `❓ Question ${game.currentQuestion + 1}/10\n\n${q.question}\n\n⏳ You have 30 seconds`
+    text: t(groupId, "quiz.question", { number: game.currentQuestion + 1, question: q.question })
   });
 
   // Store the message ID to track replies
@@ -3130,24 +4896,20 @@ Return JSON only:
 }
 `;
 
-    try {
-      const ai = await askAI(prompt);
-      const clean = ai.replace(/```json/g,"").replace(/```/g,"").trim();
-      const parsed = JSON.parse(clean);
-      results = parsed.results || {};
-    } catch (e) {
-      console.log("AI validation failed");
-    }
+    const parsed = await askAIJson(prompt, JUDGE_SCHEMA, { task: "game", groupId, fallback: null });
+
+    if (parsed) results = parsed.results;
+    else console.log("AI validation failed");
   }
 
-  let message = `⏰ Time's up!\n\nCorrect answer:\n*${q.answer}*\n\n`;
+  let message = `${t(groupId, "game.timeUp", { answer: q.answer })}\n\n`;
 
   for (const user in results) {
     if (results[user]) {
       game.scores[user] = (game.scores[user] || 0) + 1;
-      message += `✅ @${user.split("@")[0]} +1 point\n`;
+      message += `${t(groupId, "game.correct", { user: `@${user.split("@")[0]}` })}\n`;
     } else {
-      message += `❌ @${user.split("@")[0]} wrong\n`;
+      message += `${t(groupId, "game.wrong", { user: `@${user.split("@")[0]}` })}\n`;
     }
   }
 
@@ -3201,7 +4963,7 @@ async function endGame(sock, groupId){
   const game = activeGames[groupId];
   if (!game) return;
 
-  let board = "🏆 *Final Scoreboard*\n\n";
+  let board = `${t(groupId, "game.scoreboard")}\n\n`;
 
   const sorted = Object.entries(game.scores)
     .sort((a,b)=>b[1]-a[1]);
@@ -3209,7 +4971,7 @@ async function endGame(sock, groupId){
   if (sorted.length === 0) {
 
     await sock.sendMessage(groupId,{
-      text:`🏁 Game finished!\n\nNobody scored this round 😅`
+      text: t(groupId, "game.noScore")
     });
 
     delete activeGames[groupId];
@@ -3254,7 +5016,7 @@ for (const [userId, score] of Object.entries(game.scores)) {
 
   delete activeGames[groupId];
 }
-async function generateGuessAnime(animeList){
+async function generateGuessAnime(animeList, language = "English"){
 
 const prompt = `
 Create a "Guess The Anime" game.
@@ -3267,6 +5029,7 @@ Rules:
 - For each anime generate 3 clues
 - Do NOT reveal the anime name
 - clues must become progressively easier
+- write the clues in ${language}, keep anime names as they are
 
 Return JSON ONLY:
 
@@ -3284,20 +5047,24 @@ Return JSON ONLY:
 }
 `;
 
-const result = await askAI(prompt);
-
-try{
-
-const clean = result
-.replace(/```json/g,"")
-.replace(/```/g,"")
-.trim();
-
-return JSON.parse(clean);
-
-}catch{
-return null;
-}
+return askAIJson(prompt, {
+  type: "object",
+  properties: {
+    rounds: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          answer: { type: "string" },
+          clues: { type: "array", minItems: 1, items: { type: "string" } }
+        },
+        required: ["answer", "clues"]
+      }
+    }
+  },
+  required: ["rounds"]
+}, { task: "game", fallback: null });
 
 }
 // ------------------------ Guess Anime Game ------------------------
@@ -3315,7 +5082,7 @@ async function startGuessAnimeGame(sock, groupId) {
   const anime = await fetchTrendingAnime();
   if (!anime.length) return;
 
-  const game = await generateGuessAnime(anime);
+  const game = await generateGuessAnime(anime, t(groupId, "language.english"));
   if (!game) return;
 
   guessAnimeGames[groupId] = {
@@ -3406,12 +5173,11 @@ Determine if each user's answer is acceptable. Ignore minor differences like sea
     "user2@jid": false
   }
 }`;
-    try {
-      const ai = await askAI(prompt); // call your AI function
-      const clean = ai.replace(/```json/g, "").replace(/```/g, "").trim();
-      const parsed = JSON.parse(clean);
-      results = parsed.results || {};
-    } catch (e) {
+    const parsed = await askAIJson(prompt, JUDGE_SCHEMA, { task: "game", groupId, fallback: null });
+
+    if (parsed) {
+      results = parsed.results;
+    } else {
       console.log("AI validation failed, fallback to auto-match");
       // fallback: simple text match
       for (const [user, text] of Object.entries(game.userReplies)) {
@@ -3421,13 +5187,13 @@ Determine if each user's answer is acceptable. Ignore minor differences like sea
   }
 
   // Build result message
-  let message = `⏰ Time's up!\n\nCorrect answer:\n*${round.answer}*\n\n`;
+  let message = `${t(groupId, "game.timeUp", { answer: round.answer })}\n\n`;
   for (const user in results) {
     if (results[user]) {
       game.scores[user] = (game.scores[user] || 0) + 1;
-      message += `✅ @${user.split("@")[0]} +1 point\n`;
+      message += `${t(groupId, "game.correct", { user: `@${user.split("@")[0]}` })}\n`;
     } else {
-      message += `❌ @${user.split("@")[0]} wrong\n`;
+      message += `${t(groupId, "game.wrong", { user: `@${user.split("@")[0]}` })}\n`;
     }
   }
 
@@ -3584,11 +5350,11 @@ Return JSON only:
   }
 }`;
 
-    try {
-      const ai = await askAI(prompt);
-      const clean = ai.replace(/```json/g, "").replace(/```/g, "").trim();
-      results = JSON.parse(clean).results || {};
-    } catch {
+    const parsed = await askAIJson(prompt, JUDGE_SCHEMA, { task: "game", groupId, fallback: null });
+
+    if (parsed) {
+      results = parsed.results;
+    } else {
       // fallback
       for (const [user, text] of Object.entries(game.userReplies)) {
         results[user] = normalizeText(text).includes(normalizeText(round.answer));
@@ -3596,13 +5362,13 @@ Return JSON only:
     }
   }
 
-  let message = `⏰ Time's up!\n\nCorrect answer:\n*${round.answer}*\n\n`;
+  let message = `${t(groupId, "game.timeUp", { answer: round.answer })}\n\n`;
   for (const user in results) {
     if (results[user]) {
       game.scores[user] = (game.scores[user] || 0) + 1;
-      message += `✅ @${user.split("@")[0]} +1 point\n`;
+      message += `${t(groupId, "game.correct", { user: `@${user.split("@")[0]}` })}\n`;
     } else {
-      message += `❌ @${user.split("@")[0]} wrong\n`;
+      message += `${t(groupId, "game.wrong", { user: `@${user.split("@")[0]}` })}\n`;
     }
   }
 
@@ -3647,30 +5413,468 @@ async function endCharacterGame(sock, groupId) {
   delete guessCharacterGames[groupId];
 }
 // ===============================
-// ⚔️ YU-GI-OH STYLE DUEL SYSTEM – STYLISH
+// 🍿 WATCH PARTY
 // ===============================
+const watchParties = {}; // groupId -> party session
+const WATCHPARTY_LOBBY_TIME = 60 * 1000;            // join window before first countdown
+const WATCHPARTY_COUNTDOWN = 10;                    // seconds before play
+const WATCHPARTY_RESUME_COUNTDOWN = 5;              // seconds before resume
+const WATCHPARTY_IDLE_TIMEOUT = 3 * 60 * 60 * 1000; // auto end after 3h without activity
 
-const duelGames = {};
-const duelCooldown = {};
+function formatPlayback(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = n => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
 
-let cachedCharacters = [];
-let lastFetchTime = 0;
+// Current position in the episode, paused time excluded
+function getPartyPosition(party) {
+  if (!party.startedAt) return 0;
+  const end = party.pausedAt || Date.now();
+  return end - party.startedAt - party.pausedTotal;
+}
 
-// -----------------------------
-// 🧠 FETCH TRENDING CHARACTERS (JIKAN)
-// -----------------------------
-async function fetchTrendingCharacters() {
-  console.log("📡 Fetching characters from Jikan...");
-  try {
-    const pages = [1, 2];
-    let all = [];
+function getPartyEpisode(party) {
+  return party.episodes[party.index];
+}
 
-    for (const page of pages) {
-      const res = await fetch(`https://api.jikan.moe/v4/top/characters?page=${page}`);
-      const data = await res.json();
-      data.data.forEach(c => {
-        all.push({
-  name: c.name,
+function touchWatchParty(sock, groupId) {
+  const party = watchParties[groupId];
+  if (!party) return;
+
+  if (party.idleTimer) clearTimeout(party.idleTimer);
+
+  party.idleTimer = setTimeout(() => {
+    endWatchParty(sock, groupId, "⌛ Watch party closed after 3 hours of inactivity.");
+  }, WATCHPARTY_IDLE_TIMEOUT);
+}
+
+// Search → best match → episode list, same pipeline as handleAnimeRequest
+async function resolveWatchPartyEpisode(query) {
+  const intent = await parseIntent(query);
+  if (!intent || intent.notFound) return null;
+
+  const results = await searchAnime(intent.title);
+  if (!results.length) return null;
+
+  const anime = await chooseBestAnime(intent, results);
+  if (!anime) return null;
+
+  const episodes = (await getEpisodes(anime.id))
+    .slice()
+    .sort((a, b) => Number(a.number) - Number(b.number));
+
+  if (!episodes.length) return null;
+
+  const requested = Number(intent.episode) || 1;
+  const index = episodes.findIndex(e => Number(e.number) === requested);
+
+  return { anime, episodes, index, requested };
+}
+
+async function runWatchPartyCountdown(sock, groupId, party, seconds, label) {
+  const sent = await sock.sendMessage(groupId, {
+    text: `${label}\n\n⏳ ${seconds}...`
+  });
+
+  for (let i = seconds - 1; i > 0; i--) {
+    await sleep(1000);
+
+    // party ended or replaced while counting down
+    if (watchParties[groupId] !== party) return false;
+
+    if (i <= 5 || i % 5 === 0) {
+      await sock.sendMessage(groupId, {
+        text: `${label}\n\n⏳ ${i}...`,
+        edit: sent.key
+      }).catch(() => {});
+    }
+  }
+
+  await sleep(1000);
+  return watchParties[groupId] === party;
+}
+
+// Send the same text to the group and every member's DM at once
+async function broadcastToParty(sock, groupId, party, text) {
+  const members = [...party.members];
+
+  await Promise.all([
+    sock.sendMessage(groupId, { text, mentions: members }),
+    ...members.map(m => sock.sendMessage(m, { text }).catch(() => {}))
+  ]);
+}
+
+async function startWatchParty(sock, groupId, host, query) {
+  if (watchParties[groupId]) {
+    await sock.sendMessage(groupId, {
+      text: "⚠️ A watch party is already running. Use *.watchparty join* to join it."
+    });
+    return;
+  }
+
+  const statusMsg = await sock.sendMessage(groupId, {
+    text: "🍿 Setting up the watch party..."
+  });
+
+  const resolved = await resolveWatchPartyEpisode(query);
+
+  if (!resolved) {
+    await sock.sendMessage(groupId, {
+      text: "❌ Could not find that anime.",
+      edit: statusMsg.key
+    });
+    return;
+  }
+
+  if (resolved.index === -1) {
+    await sock.sendMessage(groupId, {
+      text: `❌ Episode ${resolved.requested} of *${resolved.anime.title}* is not available.`,
+      edit: statusMsg.key
+    });
+    return;
+  }
+
+  // someone else started a party while we were searching
+  if (watchParties[groupId]) return;
+
+  const party = {
+    host,
+    anime: resolved.anime,
+    episodes: resolved.episodes,
+    index: resolved.index,
+    members: new Set([host]),
+    status: "lobby", // lobby → countdown → playing ⇄ paused
+    busy: false,
+    stream: null,
+    startedAt: null,
+    pausedAt: null,
+    pausedTotal: 0,
+    watched: 0,
+    createdAt: Date.now(),
+    timer: null,
+    idleTimer: null
+  };
+
+  watchParties[groupId] = party;
+
+  const episode = getPartyEpisode(party);
+
+  await sock.sendMessage(groupId, {
+    text:
+`🍿 *WATCH PARTY*
+
+🎬 ${party.anime.title}
+📺 Episode ${episode.number}: ${episode.title || ""}
+👑 Host: @${host.split("@")[0]}
+
+Reply *.watchparty join* to join!
+⏳ Countdown starts in ${WATCHPARTY_LOBBY_TIME / 1000} seconds.`,
+    mentions: [host],
+    edit: statusMsg.key
+  });
+
+  party.timer = setTimeout(() => {
+    beginWatchPartyEpisode(sock, groupId);
+  }, WATCHPARTY_LOBBY_TIME);
+
+  touchWatchParty(sock, groupId);
+}
+
+async function beginWatchPartyEpisode(sock, groupId) {
+  const party = watchParties[groupId];
+  if (!party || party.busy) return;
+
+  party.busy = true;
+  party.timer = null;
+
+  try {
+    const episode = getPartyEpisode(party);
+
+    // Generate the link BEFORE the countdown so everyone gets it instantly
+    const stream = await generateStream(episode.id);
+    if (watchParties[groupId] !== party) return;
+
+    if (!stream) {
+      party.status = "lobby";
+      await sock.sendMessage(groupId, {
+        text: `❌ Could not generate the stream for episode ${episode.number}.\nUse *.watchparty next* to skip or *.watchparty end* to stop.`
+      });
+      return;
+    }
+
+    party.stream = stream;
+    party.status = "countdown";
+
+    const ready = await runWatchPartyCountdown(
+      sock,
+      groupId,
+      party,
+      WATCHPARTY_COUNTDOWN,
+      `🎬 *${party.anime.title}* — Episode ${episode.number}\n👥 ${party.members.size} watching\n\nGet ready to press play!`
+    );
+
+    if (!ready) return;
+
+    party.status = "playing";
+    party.startedAt = Date.now();
+    party.pausedAt = null;
+    party.pausedTotal = 0;
+    party.watched++;
+
+    await broadcastToParty(sock, groupId, party,
+`▶️ *PLAY NOW!*
+
+🎬 ${party.anime.title}
+📺 Episode ${episode.number}: ${episode.title || ""}
+▶️ ${stream.player}`);
+
+  } catch (err) {
+    logError("WATCH PARTY", err);
+  } finally {
+    party.busy = false;
+  }
+}
+
+async function joinWatchParty(sock, groupId, user) {
+  const party = watchParties[groupId];
+
+  if (!party) {
+    await sock.sendMessage(groupId, {
+      text: "⚠️ No watch party is running. Start one with *.watchparty start <anime> <episode>*"
+    });
+    return;
+  }
+
+  if (party.members.has(user)) {
+    await sock.sendMessage(groupId, {
+      text: `✅ @${user.split("@")[0]} you are already in the party.`,
+      mentions: [user]
+    });
+    return;
+  }
+
+  party.members.add(user);
+  touchWatchParty(sock, groupId);
+
+  await sock.sendMessage(groupId, {
+    text: `🎉 @${user.split("@")[0]} joined the watch party! (${party.members.size} members)`,
+    mentions: [user]
+  });
+
+  // Late joiner → send the link with the current position
+  if (["playing", "paused"].includes(party.status) && party.stream) {
+    const episode = getPartyEpisode(party);
+
+    await sock.sendMessage(user, {
+      text:
+`🍿 *Watch party in progress*
+
+🎬 ${party.anime.title}
+📺 Episode ${episode.number}
+⏱ Current position: ${formatPlayback(getPartyPosition(party))}${party.status === "paused" ? " (paused)" : ""}
+▶️ ${party.stream.player}`
+    }).catch(() => {});
+  }
+}
+
+async function leaveWatchParty(sock, groupId, user) {
+  const party = watchParties[groupId];
+  if (!party || !party.members.has(user)) return;
+
+  if (user === party.host) {
+    await sock.sendMessage(groupId, {
+      text: "👑 The host can't leave. Use *.watchparty end* to close the party."
+    });
+    return;
+  }
+
+  party.members.delete(user);
+
+  await sock.sendMessage(groupId, {
+    text: `👋 @${user.split("@")[0]} left the watch party. (${party.members.size} members)`,
+    mentions: [user]
+  });
+}
+
+async function pauseWatchParty(sock, groupId, by) {
+  const party = watchParties[groupId];
+  if (!party) return;
+
+  if (party.status !== "playing" || party.busy) {
+    await sock.sendMessage(groupId, { text: "⚠️ Nothing is playing right now." });
+    return;
+  }
+
+  party.status = "paused";
+  party.pausedAt = Date.now();
+  touchWatchParty(sock, groupId);
+
+  await broadcastToParty(sock, groupId, party,
+`⏸ *PAUSE NOW!*
+
+Paused by @${by.split("@")[0]}
+⏱ Position: ${formatPlayback(getPartyPosition(party))}
+
+Resume with *.watchparty resume*`);
+}
+
+async function resumeWatchParty(sock, groupId, by) {
+  const party = watchParties[groupId];
+  if (!party) return;
+
+  if (party.status !== "paused" || party.busy) {
+    await sock.sendMessage(groupId, { text: "⚠️ The party is not paused." });
+    return;
+  }
+
+  party.busy = true;
+
+  try {
+    const position = formatPlayback(getPartyPosition(party));
+
+    const ready = await runWatchPartyCountdown(
+      sock,
+      groupId,
+      party,
+      WATCHPARTY_RESUME_COUNTDOWN,
+      `▶️ Resuming at *${position}* (by @${by.split("@")[0]})`
+    );
+
+    if (!ready) return;
+
+    party.pausedTotal += Date.now() - party.pausedAt;
+    party.pausedAt = null;
+    party.status = "playing";
+    touchWatchParty(sock, groupId);
+
+    await broadcastToParty(sock, groupId, party, `▶️ *RESUME NOW!* from ${position}`);
+
+  } finally {
+    party.busy = false;
+  }
+}
+
+async function nextWatchPartyEpisode(sock, groupId) {
+  const party = watchParties[groupId];
+  if (!party) return;
+
+  if (party.busy) {
+    await sock.sendMessage(groupId, { text: "⏳ Hold on, the party is getting ready..." });
+    return;
+  }
+
+  if (party.index + 1 >= party.episodes.length) {
+    await sock.sendMessage(groupId, {
+      text: `🏁 That was the latest episode of *${party.anime.title}*.\nUse *.watchparty end* to close the party.`
+    });
+    return;
+  }
+
+  if (party.timer) clearTimeout(party.timer);
+
+  party.index++;
+  party.status = "lobby";
+  party.stream = null;
+  party.startedAt = null;
+  party.pausedAt = null;
+  party.pausedTotal = 0;
+  touchWatchParty(sock, groupId);
+
+  const episode = getPartyEpisode(party);
+
+  await sock.sendMessage(groupId, {
+    text: `⏭ Up next: *${party.anime.title}* — Episode ${episode.number}`
+  });
+
+  await beginWatchPartyEpisode(sock, groupId);
+}
+
+async function endWatchParty(sock, groupId, reason = "🛑 Watch party ended.", mentions = []) {
+  const party = watchParties[groupId];
+  if (!party) return;
+
+  if (party.timer) clearTimeout(party.timer);
+  if (party.idleTimer) clearTimeout(party.idleTimer);
+
+  delete watchParties[groupId];
+
+  const duration = formatPlayback(Date.now() - party.createdAt);
+
+  await sock.sendMessage(groupId, {
+    text:
+`${reason}
+
+🎬 ${party.anime.title}
+📺 Episodes watched: ${party.watched}
+👥 Members: ${party.members.size}
+⏱ Duration: ${duration}
+
+Thanks for watching together! 🍿`,
+    mentions
+  }).catch(() => {});
+}
+
+async function sendWatchPartyStatus(sock, groupId) {
+  const party = watchParties[groupId];
+
+  if (!party) {
+    await sock.sendMessage(groupId, { text: "⚠️ No watch party is running." });
+    return;
+  }
+
+  const episode = getPartyEpisode(party);
+  const members = [...party.members];
+
+  const statusText = {
+    lobby: "🕐 Waiting to start",
+    countdown: "⏳ Countdown",
+    playing: `▶️ Playing (${formatPlayback(getPartyPosition(party))})`,
+    paused: `⏸ Paused at ${formatPlayback(getPartyPosition(party))}`
+  }[party.status];
+
+  await sock.sendMessage(groupId, {
+    text:
+`🍿 *Watch Party Status*
+
+🎬 ${party.anime.title}
+📺 Episode ${episode.number}: ${episode.title || ""}
+📌 ${statusText}
+👑 Host: @${party.host.split("@")[0]}
+
+👥 Members (${members.length}):
+${members.map(m => `• @${m.split("@")[0]}`).join("\n")}`,
+    mentions: members
+  });
+}
+// ===============================
+// ⚔️ YU-GI-OH STYLE DUEL SYSTEM – STYLISH
+// ===============================
+
+const duelGames = {};
+const duelCooldown = {};
+
+let cachedCharacters = [];
+let lastFetchTime = 0;
+
+// -----------------------------
+// 🧠 FETCH TRENDING CHARACTERS (JIKAN)
+// -----------------------------
+async function fetchTrendingCharacters() {
+  console.log("📡 Fetching characters from Jikan...");
+  try {
+    const pages = [1, 2];
+    let all = [];
+
+    for (const page of pages) {
+      const res = await fetch(`https://api.jikan.moe/v4/top/characters?page=${page}`);
+      const data = await res.json();
+      data.data.forEach(c => {
+        all.push({
+  name: c.name,
   anime: c.anime?.[0]?.title || "Unknown",
   image: c.images?.jpg?.image_url || null
 });
@@ -3686,6 +5890,22 @@ async function fetchTrendingCharacters() {
 // -----------------------------
 // 🤖 GENERATE AI ABILITIES
 // -----------------------------
+const CARD_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: ["monster", "spell", "trap"], default: "monster" },
+    rarity: { type: "string", enum: ["common", "rare", "epic", "legendary"], default: "common" },
+    level: { type: "integer", minimum: 1, maximum: 12, default: 1 },
+    effect: { type: "string", default: "None" },
+    attribute: { type: "string", default: "Light" },
+    cardType: { type: "string", default: "Warrior" },
+    flavorText: { type: "string", default: "" },
+    passiveAbilities: { type: "string", default: "" },
+    attackBoost: { type: "number", minimum: 0, maximum: 2000, default: 500 },
+    defenseBoost: { type: "number", minimum: 0, maximum: 1500, default: 400 }
+  }
+};
+
 async function generateAbilities(chars) {
   const prompt = `
 You are generating Yu-Gi-Oh style cards for anime characters.
@@ -3707,35 +5927,24 @@ Rules:
 9️⃣ Flavor text: Fun lore or description.
 🔟 Avoid generating overpowered cards (no 4000+ ATK or 1900+ DEF).
 
-Output JSON array of cards for the following characters:
+Output a JSON array with one card per character, in the same order:
 
 [
 ${chars.map(c => `{"name":"${c.name}","anime":"${c.anime}"}`).join(",\n")}
 ]
 
+Card format:
+{"type":"monster","rarity":"rare","level":5,"effect":"...","attribute":"Fire","cardType":"Warrior","flavorText":"...","passiveAbilities":"...","attackBoost":900,"defenseBoost":800}
+
 Return only valid JSON.
 `;
 
-  try {
-    const ai = await askAI(prompt);
-    // Clean any code blocks and parse JSON
-    return JSON.parse(ai.replace(/```json|```/g, "").trim());
-  } catch (e) {
-    console.error("Failed to generate abilities:", e.message);
-    // fallback: safe default
-    return chars.map(() => ({
-      type: "monster",
-      rarity: "common",
-      level: 1,
-      effect: "None",
-      attribute: "Light",
-      cardType: "Warrior",
-      flavorText: "",
-      passiveAbilities: "",
-      attackBoost: 500,
-      defenseBoost: 400
-    }));
-  }
+  // fallback: safe default card for everyone
+  return askAIJson(prompt, {
+    type: "array",
+    minItems: chars.length,
+    items: CARD_SCHEMA
+  }, { task: "game", fallback: chars.map(() => defaultFor(CARD_SCHEMA)) });
 }
 // -----------------------------
 // 🎴 BUILD DECK
@@ -4246,6 +6455,24 @@ async function saveScores(groupId, scores){
 }
 
 
+// List of commands that default OFF
+const defaultOffCommands = [
+  "games", "waifu", "antispam", "antiflood", "antilinks",
+  "antiraid", "antimention", "antistickers", "raidlock",
+  "welcome", "mute", "slowmode", "stickersmaker", "salutation", "antibadwords","adminlog","ultimateowner","autogames"
+];
+
+// { command: "on"/"off" } with every toggled command at its default
+function getDefaultCommands() {
+  const commands = {};
+
+  Object.keys(toggledCommands).forEach(cmd => {
+    commands[cmd] = defaultOffCommands.includes(cmd) ? "off" : "on";
+  });
+
+  return commands;
+}
+
 // Format: { [groupId]: { command: status, ... }, ... }
 async function fetchGroupsFromBackend() {
   try {
@@ -4254,23 +6481,8 @@ async function fetchGroupsFromBackend() {
 
     if (data.success && data.data) {
       data.data.forEach(group => {
-        // List of commands that default OFF
-        const defaultOff = [
-          "games", "waifu", "antispam", "antiflood", "antilinks",
-          "antiraid", "antimention", "antistickers", "raidlock",
-          "welcome", "mute", "slowmode", "stickersmaker", "salutation", "antibadwords","adminlog","ultimateowner","autogames"
-        ];
-
         // Initialize all commands
-        const commands = {};
-
-        Object.keys(toggledCommands).forEach(cmd => {
-          if (defaultOff.includes(cmd)) {
-            commands[cmd] = "off";
-          } else {
-            commands[cmd] = "on"; // default ON for other commands
-          }
-        });
+        const commands = getDefaultCommands();
 
         // Override with backend status if available
         if (group.commands && Array.isArray(group.commands)) {
@@ -4341,7 +6553,6 @@ const protectionCache = {
   slowmode:{},
   links:{}
 };
-const linkWarnings = {};
 const linkRegex =
 /\b((https?:\/\/|ftp:\/\/)?(www\.)?[a-zA-Z0-9-]+\.(com|net|org|io|gg|co|me|app|dev|xyz|info|biz|online|site|store|tech|ai|link|ly|gl|tv|gg|ru|cn|jp|uk|us|ca|de|fr|it|es|nl|in|br|au|za|sa|ae|ir|pk|bd|tr|id|kr|vn)([\/?#][^\s]*)?)/i;
 const disguisedRegex =
@@ -4415,135 +6626,1197 @@ function saveDB(data) {
     fs.writeFileSync(DB_FILE, JSON.stringify(data));
   } catch {}
 }
-function getMessageContent(msg) {
-  if (!msg.message) return "";
 
-  if (msg.message.conversation)
-    return msg.message.conversation;
+// protectionDB.groups[groupId] → created on first write
+function getProtectionEntry(groupId) {
+  if (!protectionDB.groups) protectionDB.groups = {};
+  if (!protectionDB.groups[groupId]) protectionDB.groups[groupId] = {};
+  return protectionDB.groups[groupId];
+}
 
-  if (msg.message.extendedTextMessage?.text)
-    return msg.message.extendedTextMessage.text;
+// -------------------- PER-GROUP PROTECTION SETTINGS --------------------
+const PROTECTION_DEFAULTS = {
+  spamWindow: 30 * 1000,          // duplicates counted in this window
+  spamDuplicates: 4,              // same message N times = spam
 
-  if (msg.message.imageMessage?.caption)
-    return msg.message.imageMessage.caption;
+  floodWindow: 5 * 1000,          // messages counted in this window
+  floodLimit: 6,                  // N messages in window = flood
 
-  if (msg.message.videoMessage?.caption)
-    return msg.message.videoMessage.caption;
+  mentionLimit: 10,               // more than N mentions = mention spam
 
-  if (msg.message.documentMessage?.caption)
-    return msg.message.documentMessage.caption;
+  slowDelay: 10 * 1000,           // slowmode delay between messages
 
-  return "";
-}
-const GEMINI_VISION_URL =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemini-3.1-flash-lite-preview:generateContent";
+  raidJoins: 8,                   // joins ...
+  raidWindow: 15 * 1000,          // ... within this window = raid
+  raidLockTime: 30 * 60 * 1000,   // raidlock duration
 
-async function checkImageNSFW(imageBuffer) {
-  try {
+  // Strike ladder: N active strikes → action
+  strikeDelete: 2,                // delete the offending message
+  strikeBotBan: 3,                // bot ignores the user for strikeBotBanTime
+  strikeKick: 4,                  // remove from the group
+  strikeBotBanTime: 60 * 60 * 1000,
+  strikeDecay: 24 * 60 * 60 * 1000 // strikes expire after this
+};
 
-    const base64 = imageBuffer.toString("base64");
+// .protect set <module> <field> <value> → PROTECTION_DEFAULTS key + bounds
+const PROTECTION_FIELDS = {
+  antispam: {
+    window: { key: "spamWindow", type: "duration", min: 5 * 1000, max: 10 * 60 * 1000 },
+    duplicates: { key: "spamDuplicates", type: "number", min: 2, max: 20 }
+  },
+  antiflood: {
+    window: { key: "floodWindow", type: "duration", min: 2 * 1000, max: 2 * 60 * 1000 },
+    limit: { key: "floodLimit", type: "number", min: 3, max: 50 }
+  },
+  antimention: {
+    limit: { key: "mentionLimit", type: "number", min: 2, max: 100 }
+  },
+  slowmode: {
+    delay: { key: "slowDelay", type: "duration", min: 2 * 1000, max: 60 * 60 * 1000 }
+  },
+  antiraid: {
+    joins: { key: "raidJoins", type: "number", min: 3, max: 50 },
+    window: { key: "raidWindow", type: "duration", min: 5 * 1000, max: 5 * 60 * 1000 },
+    lock: { key: "raidLockTime", type: "duration", min: 60 * 1000, max: 24 * 60 * 60 * 1000 }
+  },
+  strikes: {
+    delete: { key: "strikeDelete", type: "number", min: 1, max: 20 },
+    botban: { key: "strikeBotBan", type: "number", min: 1, max: 20 },
+    kick: { key: "strikeKick", type: "number", min: 1, max: 20 },
+    bantime: { key: "strikeBotBanTime", type: "duration", min: 60 * 1000, max: 7 * 24 * 60 * 60 * 1000 },
+    decay: { key: "strikeDecay", type: "duration", min: 10 * 60 * 1000, max: 30 * 24 * 60 * 60 * 1000 }
+  }
+};
 
-    const prompt = `
-You are an image moderation AI.
+function formatProtectionValue(field, value) {
+  return field.type === "duration" ? formatDuration(value) : String(value);
+}
 
-STRICT RULES:
-- ONLY analyze VISUAL content (bodies, poses, exposed parts)
-- IGNORE any text, captions, subtitles, or dialogue in the image
-- DO NOT infer meaning from words
-- DO NOT guess or assume context
+// Validate + store one field. Returns an error message or null.
+function applyProtectionSetting(groupId, module, fieldName, raw) {
+  const field = PROTECTION_FIELDS[module]?.[fieldName];
+  if (!field) return `❌ Unknown setting *${module} ${fieldName}*`;
 
-Classify ONLY based on visible body parts:
+  const value = field.type === "duration"
+    ? parseDuration(raw)
+    : (/^\d+$/.test(String(raw)) ? Number(raw) : null);
 
-SAFE = no nudity or sexual body parts
-NUDITY = visible private body parts
-SEXUAL = suggestive poses or focus on sexual areas
-EXPLICIT = sexual acts
+  if (!value || value < field.min || value > field.max) {
+    return `❌ *${module} ${fieldName}* must be between ${formatProtectionValue(field, field.min)} and ${formatProtectionValue(field, field.max)}`;
+  }
 
-Return EXACTLY:
+  setGroupProtection(groupId, field.key, value);
+  return null;
+}
+
+// Returns false for an unknown module ("all" resets everything)
+function resetProtectionModule(groupId, module) {
+  const modules = module === "all" ? Object.keys(PROTECTION_FIELDS) : [module];
+  if (!modules.every(m => PROTECTION_FIELDS[m])) return false;
+
+  for (const m of modules) {
+    for (const field of Object.values(PROTECTION_FIELDS[m])) {
+      setGroupProtection(groupId, field.key, null);
+    }
+  }
+
+  return true;
+}
+
+// "• antiflood → window 5s, limit 8*, warnings 3" (* = customized)
+function describeGroupProtection(groupId) {
+  const limits = getGroupProtection(groupId);
+
+  return Object.entries(PROTECTION_FIELDS).map(([module, fields]) => {
+    const values = Object.entries(fields).map(([name, field]) => {
+      const custom = limits[field.key] !== PROTECTION_DEFAULTS[field.key];
+      return `${name} ${formatProtectionValue(field, limits[field.key])}${custom ? "*" : ""}`;
+    });
+
+    return `• ${module} → ${values.join(", ")}`;
+  }).join("\n");
+}
+
+// -------------------- STRIKE LEDGER --------------------
+// One ledger for every protection module + manual .warn
+// protectionDB.groups[groupId].strikes[userJid] = [{ module, reason, by, time }]
+// protectionDB.groups[groupId].botBans[userJid] = until   (bot ignores the user)
+// protectionDB.groups[groupId].imageBans[userJid] = until (antisexual)
+const NSFW_IMAGE_BAN = 24 * 60 * 60 * 1000;
+
+// Active strikes only (decayed ones are pruned)
+function getUserStrikes(groupId, userJid) {
+  const entry = protectionDB.groups?.[groupId];
+  const list = entry?.strikes?.[userJid];
+  if (!list) return [];
+
+  const { strikeDecay } = getGroupProtection(groupId);
+  const now = Date.now();
+  const active = list.filter(s => now - s.time < strikeDecay);
+
+  if (active.length !== list.length) {
+    if (active.length) entry.strikes[userJid] = active;
+    else delete entry.strikes[userJid];
+    saveDB(protectionDB);
+  }
+
+  return active;
+}
+
+// { userJid: activeStrikes[] } for the whole group
+function getGroupStrikes(groupId) {
+  const result = {};
+
+  for (const userJid of Object.keys(protectionDB.groups?.[groupId]?.strikes || {})) {
+    const strikes = getUserStrikes(groupId, userJid);
+    if (strikes.length) result[userJid] = strikes;
+  }
+
+  return result;
+}
+
+function clearUserStrikes(groupId, userJid) {
+  const entry = protectionDB.groups?.[groupId];
+  if (!entry) return;
+
+  delete entry.strikes?.[userJid];
+  delete entry.botBans?.[userJid];
+  saveDB(protectionDB);
+}
+
+function getStrikeAction(groupId, count) {
+  const limits = getGroupProtection(groupId);
+
+  if (count >= limits.strikeKick) return "kick";
+  if (count >= limits.strikeBotBan) return "botban";
+  if (count >= limits.strikeDelete) return "delete";
+  return "warn";
+}
+
+// Shared by botBans / imageBans
+function getTimedBan(groupId, type, userJid) {
+  const bans = protectionDB.groups?.[groupId]?.[type];
+  const until = bans?.[userJid];
+  if (!until) return 0;
+
+  if (until <= Date.now()) {
+    delete bans[userJid];
+    saveDB(protectionDB);
+    return 0;
+  }
+
+  return until;
+}
+
+function setTimedBan(groupId, type, userJid, duration) {
+  const entry = getProtectionEntry(groupId);
+  if (!entry[type]) entry[type] = {};
+
+  entry[type][userJid] = Date.now() + duration;
+  saveDB(protectionDB);
+}
+
+function isBotBanned(groupId, userJid) {
+  return getTimedBan(groupId, "botBans", userJid) > 0;
+}
+
+// Record one strike and apply the ladder step it reaches.
+// Returns the action taken: "warn" | "delete" | "botban" | "kick"
+// deleted: the caller already removed the message → logged as "delete" instead of "warn"
+async function addStrike(sock, groupId, userJid, { module, title, reason, by = null, msgKey = null, deleted = false }) {
+  const entry = getProtectionEntry(groupId);
+  if (!entry.strikes) entry.strikes = {};
+
+  const strikes = getUserStrikes(groupId, userJid);
+  strikes.push({ module, reason, by, time: Date.now() });
+  entry.strikes[userJid] = strikes;
+  saveDB(protectionDB);
+
+  const limits = getGroupProtection(groupId);
+  const count = strikes.length;
+  const action = getStrikeAction(groupId, count);
+  const username = userJid.split("@")[0];
+
+  let actionText = "";
+
+  if (msgKey && action !== "warn") {
+    try { await sock.sendMessage(groupId, { delete: msgKey }); } catch {}
+  }
+
+  if (action === "delete") {
+    actionText = t(groupId, "strike.delete");
+  }
+
+  if (action === "botban") {
+    setTimedBan(groupId, "botBans", userJid, limits.strikeBotBanTime);
+    actionText = t(groupId, "strike.botban", { duration: formatDuration(limits.strikeBotBanTime) });
+  }
+
+  let logged = action === "warn" && deleted ? "delete" : action;
+
+  if (action === "kick") {
+    try {
+      await sock.groupParticipantsUpdate(groupId, [userJid], "remove");
+      actionText = t(groupId, "strike.kick");
+
+      clearUserStrikes(groupId, userJid);
+      if (protectionCache.messages?.[groupId]?.[userJid])
+        delete protectionCache.messages[groupId][userJid];
+
+      offerAppeal(sock, groupId, userJid, "kick", reason.split("\n")[0])
+        .catch(err => console.error("❌ Appeal offer failed:", err.message));
+    } catch {
+      actionText = t(groupId, "strike.kickFailed");
+      logged = "kick-failed";
+    }
+  }
+
+  logModAction({
+    groupId,
+    target: userJid,
+    actor: by,
+    module,
+    action: logged,
+    reason: `${reason.split("\n")[0]} (strike ${count})`
+  });
+
+  await sock.sendMessage(groupId, {
+    text:
+`${title}
+
+⚠️ @${username}
+${reason}
+
+${t(groupId, "strike.count", { count, max: limits.strikeKick })}${actionText ? `\n${actionText}` : ""}`,
+    mentions: [userJid]
+  });
+
+  console.log(`🧾 Strike ${count} (${module}) for ${userJid} in ${groupId} → ${action}`);
+
+  return action;
+}
+
+// -------------------- TIMED SANCTIONS --------------------
+// protectionDB.groups[groupId].sanctions[type][userJid] = { until, by }
+//   tempban → bot-ban (bannedUsers + backend) lifted automatically
+//   mute    → every message of the member is deleted
+const sanctionTimers = {}; // "groupId|type|userJid" -> timeout
+const MAX_SANCTION_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;                      // setTimeout limit
+
+const SANCTION_TEXT = {
+  tempban: {
+    start: (user, d) => `⛔ @${user} is banned from using the bot for *${d}*.`,
+    end: user => `✅ @${user} your temporary ban has ended.`
+  },
+  mute: {
+    start: (user, d) => `🔇 @${user} is muted for *${d}*. Their messages will be deleted.`,
+    end: user => `🔊 @${user} your mute has ended.`
+  }
+};
+
+function getSanction(groupId, type, userJid) {
+  const sanction = protectionDB.groups?.[groupId]?.sanctions?.[type]?.[userJid];
+  if (!sanction || sanction.until <= Date.now()) return null;
+  return sanction;
+}
+
+function isUserMuted(groupId, userJid) {
+  return !!getSanction(groupId, "mute", userJid);
+}
+
+// Bot-banned with .ban, not by a tempban that will expire
+function isPermanentlyBanned(groupId, userJid) {
+  return isUserBanned(groupId, userJid) &&
+    !protectionDB.groups?.[groupId]?.sanctions?.tempban?.[userJid];
+}
+
+async function applySanction(sock, groupId, type, userJid, duration, by, reason = null) {
+  const entry = getProtectionEntry(groupId);
+  if (!entry.sanctions) entry.sanctions = {};
+  if (!entry.sanctions[type]) entry.sanctions[type] = {};
+
+  entry.sanctions[type][userJid] = { until: Date.now() + duration, by };
+  saveDB(protectionDB);
+
+  if (type === "tempban") {
+    addLocalBan(groupId, userJid);
+    await saveBanToBackend(groupId, userJid);
+  }
+
+  scheduleSanction(sock, groupId, type, userJid);
+
+  logModAction({
+    groupId,
+    target: userJid,
+    actor: by,
+    module: type,
+    action: type,
+    reason: `${reason ? `${reason} ` : ""}(for ${formatDuration(duration)})`
+  });
+
+  await sock.sendMessage(groupId, {
+    text: SANCTION_TEXT[type].start(userJid.split("@")[0], formatDuration(duration)),
+    mentions: [userJid]
+  });
+
+  if (type === "tempban") {
+    await offerAppeal(sock, groupId, userJid, "tempban", reason || `Banned for ${formatDuration(duration)}`);
+  }
+}
+
+// Drop the record + timer without side effects (used by .unban)
+function cancelSanction(groupId, type, userJid) {
+  const key = `${groupId}|${type}|${userJid}`;
+
+  if (sanctionTimers[key]) {
+    clearTimeout(sanctionTimers[key]);
+    delete sanctionTimers[key];
+  }
+
+  const list = protectionDB.groups?.[groupId]?.sanctions?.[type];
+
+  if (list?.[userJid]) {
+    delete list[userJid];
+    saveDB(protectionDB);
+    return true;
+  }
+
+  return false;
+}
+
+// Lift a sanction (expired = reached its end time, by = admin who lifted it early)
+async function liftSanction(sock, groupId, type, userJid, { by = null, expired = false } = {}) {
+  if (!cancelSanction(groupId, type, userJid)) return false;
+
+  if (type === "tempban") {
+    removeLocalBan(groupId, userJid);
+
+    try {
+      await removeBanFromBackend(groupId, userJid);
+    } catch (err) {
+      console.error("❌ Failed to lift temp ban:", err.message);
+    }
+  }
+
+  logModAction({
+    groupId,
+    target: userJid,
+    actor: by,
+    module: type,
+    action: type === "mute" ? "unmute" : "unban",
+    reason: expired ? "Expired" : "Lifted early"
+  });
+
+  await sock.sendMessage(groupId, {
+    text: SANCTION_TEXT[type].end(userJid.split("@")[0]),
+    mentions: [userJid]
+  }).catch(() => {});
+
+  return true;
+}
+
+function scheduleSanction(sock, groupId, type, userJid) {
+  const key = `${groupId}|${type}|${userJid}`;
+  if (sanctionTimers[key]) clearTimeout(sanctionTimers[key]);
+
+  const until = protectionDB.groups?.[groupId]?.sanctions?.[type]?.[userJid]?.until;
+  if (!until) return;
+
+  const remaining = until - Date.now();
+
+  // setTimeout fires at once past 2^31-1 ms (~24.8 days) → re-arm in steps
+  if (remaining > MAX_TIMER_DELAY) {
+    sanctionTimers[key] = setTimeout(() => scheduleSanction(sock, groupId, type, userJid), MAX_TIMER_DELAY);
+    return;
+  }
+
+  sanctionTimers[key] = setTimeout(() => {
+    delete sanctionTimers[key];
+    liftSanction(sock, groupId, type, userJid, { expired: true })
+      .catch(err => console.error("❌ Sanction expiry failed:", err.message));
+  }, Math.max(0, remaining));
+}
+
+// Re-arm sanction timers after a restart (expired ones are lifted immediately)
+function restoreSanctionTimers(sock) {
+  for (const [groupId, entry] of Object.entries(protectionDB.groups || {})) {
+    for (const [type, users] of Object.entries(entry.sanctions || {})) {
+      for (const userJid of Object.keys(users)) {
+        scheduleSanction(sock, groupId, type, userJid);
+      }
+    }
+  }
+}
+
+function getGroupProtection(groupId) {
+  return {
+    ...PROTECTION_DEFAULTS,
+    ...(protectionDB.groups?.[groupId]?.settings || {})
+  };
+}
+
+function setGroupProtection(groupId, key, value) {
+  const entry = getProtectionEntry(groupId);
+  if (!entry.settings) entry.settings = {};
+
+  if (value === null || value === PROTECTION_DEFAULTS[key]) {
+    delete entry.settings[key];
+  } else {
+    entry.settings[key] = value;
+  }
+
+  saveDB(protectionDB);
+}
+
+// -------------------- MUTE MODE --------------------
+// State: groupCommandsCache[groupId].mute ("on"/"off")
+// Timed mutes: protectionDB.groups[groupId].mute = { until, by }
+const muteTimers = {};
+const MAX_MUTE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// "30s" / "10m" / "2h" / "1d" → ms (null if invalid)
+function parseDuration(input = "") {
+  const match = String(input).trim().toLowerCase().match(/^(\d+)\s*(s|m|h|d)$/);
+  if (!match) return null;
+
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const ms = Number(match[1]) * units[match[2]];
+
+  return ms > 0 ? ms : null;
+}
+
+function formatDuration(ms) {
+  if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
+
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours < 24) return rest ? `${hours}h ${rest}min` : `${hours}h`;
+
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+function isGroupMuted(groupId) {
+  if (groupCommandsCache[groupId]?.mute !== "on") return false;
+
+  const until = protectionDB.groups?.[groupId]?.mute?.until;
+  return !until || until > Date.now();
+}
+
+// Only deletions go through → protection keeps working without replies
+function silentSocket(sock) {
+  return new Proxy(sock, {
+    get(target, prop) {
+      if (prop === "sendMessage") {
+        return (jid, content, options) =>
+          content?.delete
+            ? target.sendMessage(jid, content, options)
+            : Promise.resolve(null);
+      }
+      return target[prop];
+    }
+  });
+}
+
+async function muteGroup(sock, groupId, adminId, duration = null) {
+  if (!groupCommandsCache[groupId]) groupCommandsCache[groupId] = {};
+  groupCommandsCache[groupId].mute = "on";
+
+  getProtectionEntry(groupId).mute = {
+    until: duration ? Date.now() + duration : null,
+    by: adminId
+  };
+  saveDB(protectionDB);
+
+  scheduleMuteExpiry(sock, groupId);
+
+  return updateCommandStatus(groupId, adminId, "mute", "on");
+}
+
+async function unmuteGroup(sock, groupId, adminId = null, expired = false) {
+  if (muteTimers[groupId]) {
+    clearTimeout(muteTimers[groupId]);
+    delete muteTimers[groupId];
+  }
+
+  const state = protectionDB.groups?.[groupId]?.mute;
+
+  if (state) {
+    delete protectionDB.groups[groupId].mute;
+    saveDB(protectionDB);
+  }
+
+  if (groupCommandsCache[groupId]) groupCommandsCache[groupId].mute = "off";
+
+  await updateCommandStatus(groupId, adminId || state?.by, "mute", "off");
+
+  if (expired) {
+    await sock.sendMessage(groupId, {
+      text: "🔊 *Mute ended*\n\nThe bot is active again in this group."
+    }).catch(() => {});
+  }
+}
+
+function scheduleMuteExpiry(sock, groupId) {
+  if (muteTimers[groupId]) clearTimeout(muteTimers[groupId]);
+  delete muteTimers[groupId];
+
+  const until = protectionDB.groups?.[groupId]?.mute?.until;
+  if (!until) return;
+
+  muteTimers[groupId] = setTimeout(() => {
+    unmuteGroup(sock, groupId, null, true)
+      .catch(err => console.error("❌ Mute expiry failed:", err.message));
+  }, Math.max(0, until - Date.now()));
+}
+
+// Re-arm timed mutes after a restart (expired ones end immediately)
+function restoreMuteTimers(sock) {
+  for (const groupId of Object.keys(protectionDB.groups || {})) {
+    if (protectionDB.groups[groupId]?.mute?.until) {
+      scheduleMuteExpiry(sock, groupId);
+    }
+  }
+}
+
+// -------------------- ANTI RAID --------------------
+// raidState[groupId] = { active, startedAt, removed: [], endTimer }
+// Locks survive restarts: protectionDB.groups[groupId].raidLock = { until, restore }
+const raidState = {};
+const raidLockTimers = {};
+const RAID_QUIET_TIME = 2 * 60 * 1000; // raid ends after 2 min without suspicious joins
+
+function getRaidAllowlist(groupId) {
+  return protectionDB.groups?.[groupId]?.raidAllow || [];
+}
+
+function setRaidAllowed(groupId, userJid, allowed) {
+  const entry = getProtectionEntry(groupId);
+  const list = new Set(entry.raidAllow || []);
+
+  if (allowed) list.add(userJid);
+  else list.delete(userJid);
+
+  entry.raidAllow = [...list];
+  saveDB(protectionDB);
+}
+
+async function notifyGroupAdmins(sock, groupId, text) {
+  const admins = ((await getGroupAdmins(sock, groupId)) || [])
+    .filter(a => a !== BOT_ID);
+
+  for (const admin of admins) {
+    await sock.sendMessage(admin, { text }).catch(() => {});
+    await sleep(500);
+  }
+}
+
+// Called for every join. Returns the joiners that were removed.
+async function handleRaidJoins(sock, update, metadata) {
+  const groupId = update.id;
+  const removed = new Set();
+
+  if (groupCommandsCache[groupId]?.antiraid !== "on") return removed;
+
+  const settings = getGroupProtection(groupId);
+  const admins = metadata.participants
+    .filter(p => p.admin === "admin" || p.admin === "superadmin")
+    .map(p => p.id);
+
+  // Added by an admin → trusted, never counted
+  if (update.author && admins.includes(update.author)) return removed;
+
+  const allowlist = getRaidAllowlist(groupId);
+  const now = Date.now();
+
+  const joiners = update.participants
+    .map(p => (typeof p === "string" ? p : p?.id))
+    .filter(jid => jid && jid !== BOT_ID && !allowlist.includes(jid));
+
+  if (!joiners.length) return removed;
+
+  if (!protectionCache.joins[groupId])
+    protectionCache.joins[groupId] = [];
+
+  joiners.forEach(jid => protectionCache.joins[groupId].push({ jid, time: now }));
+
+  protectionCache.joins[groupId] =
+    protectionCache.joins[groupId].filter(j => now - j.time < settings.raidWindow);
+
+  let state = raidState[groupId];
+
+  // -------------------- DETECTION --------------------
+  if (!state?.active && protectionCache.joins[groupId].length >= settings.raidJoins) {
+    state = raidState[groupId] = {
+      active: true,
+      startedAt: now,
+      removed: [],
+      endTimer: null
+    };
+
+    await sock.sendMessage(groupId, {
+      text: `🚨 *ANTI-RAID*\n\n${protectionCache.joins[groupId].length} joins in ${formatDuration(settings.raidWindow)} — raid detected!\nNew joiners are being removed.`
+    });
+
+    if (groupCommandsCache[groupId]?.raidlock === "on") {
+      await lockGroupForRaid(sock, groupId, metadata, settings.raidLockTime);
+    }
+  }
+
+  if (!state?.active) return removed;
+
+  // -------------------- REMOVE BURST JOINERS --------------------
+  const targets = [...new Set(protectionCache.joins[groupId].map(j => j.jid))]
+    .filter(jid => !state.removed.includes(jid));
+
+  if (targets.length && botAdminGroups.has(groupId)) {
+    try {
+      await sock.groupParticipantsUpdate(groupId, targets, "remove");
+      state.removed.push(...targets);
+
+      targets.forEach(jid => {
+        removed.add(jid);
+        logModAction({ groupId, target: jid, module: "antiraid", action: "kick", reason: "Joined during a raid" });
+      });
+    } catch (err) {
+      console.error("❌ Raid removal failed:", err.message);
+    }
+  }
+
+  protectionCache.joins[groupId] = [];
+
+  // Raid ends once joins calm down (or when the lock expires)
+  if (!raidLockTimers[groupId]) {
+    if (state.endTimer) clearTimeout(state.endTimer);
+    state.endTimer = setTimeout(() => endRaid(sock, groupId), RAID_QUIET_TIME);
+  }
+
+  return removed;
+}
+
+async function lockGroupForRaid(sock, groupId, metadata, duration) {
+  if (!botAdminGroups.has(groupId)) {
+    await sock.sendMessage(groupId, {
+      text: "⚠️ Raid lock needs the bot to be admin."
+    });
+    return;
+  }
+
+  // Only undo what we changed
+  const restore = [];
+
+  const steps = [
+    { skip: metadata.announce, apply: () => sock.groupSettingUpdate(groupId, "announcement"), undo: "not_announcement" },
+    { skip: metadata.restrict, apply: () => sock.groupSettingUpdate(groupId, "locked"), undo: "unlocked" },
+    { skip: metadata.memberAddMode === false, apply: () => sock.groupMemberAddMode(groupId, "admin_add"), undo: "all_member_add" }
+  ];
+
+  for (const step of steps) {
+    if (step.skip) continue;
+
+    try {
+      await step.apply();
+      restore.push(step.undo);
+    } catch (err) {
+      console.error("❌ Raid lock step failed:", err.message);
+    }
+  }
+
+  getProtectionEntry(groupId).raidLock = {
+    until: Date.now() + duration,
+    restore
+  };
+  saveDB(protectionDB);
+
+  logModAction({ groupId, module: "raidlock", action: "lock", reason: `Raid lock for ${formatDuration(duration)}` });
+
+  scheduleRaidUnlock(sock, groupId);
+
+  await sock.sendMessage(groupId, {
+    text: `🔒 *RAID LOCK*\n\nOnly admins can send messages and add members for *${formatDuration(duration)}*.`
+  });
+}
+
+function scheduleRaidUnlock(sock, groupId) {
+  if (raidLockTimers[groupId]) clearTimeout(raidLockTimers[groupId]);
+
+  const until = protectionDB.groups?.[groupId]?.raidLock?.until;
+  if (!until) return;
+
+  raidLockTimers[groupId] = setTimeout(() => {
+    unlockGroupAfterRaid(sock, groupId)
+      .catch(err => console.error("❌ Raid unlock failed:", err.message));
+  }, Math.max(0, until - Date.now()));
+}
+
+async function unlockGroupAfterRaid(sock, groupId) {
+  clearTimeout(raidLockTimers[groupId]);
+  delete raidLockTimers[groupId];
+
+  const lock = protectionDB.groups?.[groupId]?.raidLock;
+  if (!lock) return;
+
+  for (const setting of lock.restore) {
+    try {
+      if (setting === "all_member_add") {
+        await sock.groupMemberAddMode(groupId, setting);
+      } else {
+        await sock.groupSettingUpdate(groupId, setting);
+      }
+    } catch (err) {
+      console.error("❌ Raid unlock step failed:", err.message);
+    }
+  }
+
+  delete protectionDB.groups[groupId].raidLock;
+  saveDB(protectionDB);
+
+  logModAction({ groupId, module: "raidlock", action: "unlock", reason: "Raid lock lifted" });
+
+  await sock.sendMessage(groupId, {
+    text: "🔓 *Raid lock lifted*\n\nThe group is open again."
+  }).catch(() => {});
+
+  await endRaid(sock, groupId);
+}
+
+async function endRaid(sock, groupId) {
+  const state = raidState[groupId];
+  if (!state?.active) return;
+
+  if (state.endTimer) clearTimeout(state.endTimer);
+  state.endTimer = null;
+
+  // lock still running → summary comes with the unlock
+  if (raidLockTimers[groupId]) return;
+
+  delete raidState[groupId];
+
+  const groupName = (await getCachedGroupMetadata(sock, groupId))?.subject || groupId;
+
+  await notifyGroupAdmins(sock, groupId,
+`🛡 *Anti-raid summary*
+
+Group: ${groupName}
+⏱ Duration: ${formatDuration(Date.now() - state.startedAt)}
+🚫 Removed: ${state.removed.length}
+${state.removed.slice(0, 30).map(j => `• ${j.split("@")[0]}`).join("\n")}${state.removed.length > 30 ? "\n…" : ""}
+
+Use *.antiraid allow @user* to whitelist someone before re-adding them.`);
+}
+
+// Re-arm raid locks after a restart (expired ones unlock immediately)
+function restoreRaidLocks(sock) {
+  for (const groupId of Object.keys(protectionDB.groups || {})) {
+    if (protectionDB.groups[groupId]?.raidLock) {
+      raidState[groupId] = raidState[groupId] || {
+        active: true,
+        startedAt: Date.now(),
+        removed: [],
+        endTimer: null
+      };
+      scheduleRaidUnlock(sock, groupId);
+    }
+  }
+}
+function getMessageContent(msg) {
+  if (!msg.message) return "";
+
+  if (msg.message.conversation)
+    return msg.message.conversation;
+
+  if (msg.message.extendedTextMessage?.text)
+    return msg.message.extendedTextMessage.text;
+
+  if (msg.message.imageMessage?.caption)
+    return msg.message.imageMessage.caption;
+
+  if (msg.message.videoMessage?.caption)
+    return msg.message.videoMessage.caption;
+
+  if (msg.message.documentMessage?.caption)
+    return msg.message.documentMessage.caption;
+
+  return "";
+}
+async function checkImageNSFW(imageBuffer) {
+  try {
+
+    const base64 = imageBuffer.toString("base64");
+
+    const prompt = `
+You are an image moderation AI.
+
+STRICT RULES:
+- ONLY analyze VISUAL content (bodies, poses, exposed parts)
+- IGNORE any text, captions, subtitles, or dialogue in the image
+- DO NOT infer meaning from words
+- DO NOT guess or assume context
+
+Classify ONLY based on visible body parts:
+
+SAFE = no nudity or sexual body parts
+NUDITY = visible private body parts
+SEXUAL = suggestive poses or focus on sexual areas
+EXPLICIT = sexual acts
+
+Return EXACTLY:
 
 CATEGORY: <SAFE|NUDITY|SEXUAL|EXPLICIT>
 REASON: <only describe visible body evidence>
 `;
-    const { data } = await axios.post(
-      `${GEMINI_VISION_URL}?key=${GEMINI_KEY}`,
-      {
-        contents: [
-          {
-            parts: [
-              { text: prompt },
-              {
-                inline_data: {
-                  mime_type: "image/jpeg",
-                  data: base64
-                }
-              }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0,
-          topP: 0
-        }
-      },
-      { timeout: 60000 }
-    );
-
-    const text =
-      data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    const text = await aiClient.ask(prompt, {
+      task: "vision",
+      image: { mimeType: "image/jpeg", data: base64 },
+      timeout: 60000
+    });
 
     const categoryMatch = text.match(/CATEGORY:\s*(SAFE|NUDITY|SEXUAL|EXPLICIT)/i);
     const reasonMatch = text.match(/REASON:\s*(.+)/i);
 
-    const category = categoryMatch ? categoryMatch[1].toUpperCase() : "SAFE";
-    const reason = reasonMatch ? reasonMatch[1] : "Inappropriate image detected.";
+    const category = categoryMatch ? categoryMatch[1].toUpperCase() : "SAFE";
+    const reason = reasonMatch ? reasonMatch[1] : "Inappropriate image detected.";
+
+    return { category, reason };
+
+  } catch (err) {
+
+    console.log("AI NSFW error:", err?.response?.data || err.message);
+
+    return {
+      category: "SAFE",
+      reason: ""
+    };
+
+  }
+}
+const nsfwDailyLimit = {};
+const ANTILINK_LOG_FILE = path.join(__dirname, "antilink_logs.json");
+
+// Load logs
+function loadAntiLinkLogs() {
+  try {
+    if (!fs.existsSync(ANTILINK_LOG_FILE)) {
+      fs.writeFileSync(ANTILINK_LOG_FILE, JSON.stringify([], null, 2));
+    }
+    return JSON.parse(fs.readFileSync(ANTILINK_LOG_FILE));
+  } catch {
+    return [];
+  }
+}
+
+// Save logs
+function saveAntiLinkLogs(data) {
+  try {
+    fs.writeFileSync(ANTILINK_LOG_FILE, JSON.stringify(data, null, 2));
+  } catch {}
+}
+
+// Add log
+function logDeletedMessage(entry) {
+  const logs = loadAntiLinkLogs();
+  logs.push(entry);
+
+  // keep last 1000 logs only
+  if (logs.length > 1000) logs.shift();
+
+  saveAntiLinkLogs(logs);
+}
+
+// -------------------- MODERATION AUDIT LOG --------------------
+// Every moderation action: { groupId, target, actor ("bot" or admin jid), module, action, reason, timestamp }
+const MODLOG_FILE = path.join(__dirname, "moderation_logs.json");
+const MODLOG_MAX = 1000; // per group, so a busy group doesn't evict the others
+
+function loadModLogs() {
+  try {
+    if (!fs.existsSync(MODLOG_FILE)) return [];
+    return JSON.parse(fs.readFileSync(MODLOG_FILE));
+  } catch {
+    return [];
+  }
+}
+
+let modLogs = loadModLogs();
+let modLogSaveTimer = null;
+
+// Logged from the message path (slowmode, spam…) → write at most every 10s
+function saveModLogs() {
+  if (modLogSaveTimer) return;
+
+  modLogSaveTimer = setTimeout(() => {
+    modLogSaveTimer = null;
+    try {
+      fs.writeFileSync(MODLOG_FILE, JSON.stringify(modLogs));
+    } catch (err) {
+      logError("MODLOG SAVE", err);
+    }
+  }, 10000);
+}
+
+function logModAction({ groupId, target = null, actor = "bot", module, action, reason = "" }) {
+  modLogs.push({
+    groupId,
+    target,
+    actor: actor || "bot",
+    module,
+    action,
+    reason,
+    timestamp: new Date().toISOString()
+  });
+
+  // keep the last MODLOG_MAX entries of this group only
+  if (modLogs.filter(l => l.groupId === groupId).length > MODLOG_MAX) {
+    modLogs.splice(modLogs.findIndex(l => l.groupId === groupId), 1);
+  }
+
+  saveModLogs();
+}
+
+// Newest first
+function queryModLogs(groupId, { target = null, module = null, limit = null } = {}) {
+  const result = modLogs
+    .filter(l =>
+      l.groupId === groupId &&
+      (!target || l.target === target) &&
+      (!module || l.module === module)
+    )
+    .reverse();
+
+  return limit ? result.slice(0, limit) : result;
+}
+
+function modLogsToCSV(entries) {
+  const columns = ["timestamp", "groupId", "target", "actor", "module", "action", "reason"];
+  const escape = v => `"${String(v ?? "").replace(/"/g, '""')}"`;
+
+  return [
+    columns.join(","),
+    ...entries.map(e => columns.map(c => escape(e[c])).join(","))
+  ].join("\n");
+}
+
+// -------------------- APPEALS --------------------
+// Kicked / banned members get a DM with an appeal code.
+// They answer in DM with .appeal <code> <message>, group admins get it
+// forwarded and decide with .appeal approve|deny <code> (group or DM).
+const APPEALS_FILE = path.join(__dirname, "appeals.json");
+const APPEAL_VALIDITY = 7 * 24 * 60 * 60 * 1000; // code can be used for 7 days
+const APPEAL_KEEP = 30 * 24 * 60 * 60 * 1000;    // decided appeals kept 30 days
+
+const APPEAL_ACTIONS = {
+  kick: "removed from",
+  ban: "banned from using the bot in",
+  tempban: "temporarily banned from using the bot in"
+};
+
+function loadAppeals() {
+  try {
+    if (!fs.existsSync(APPEALS_FILE)) return {};
+    return JSON.parse(fs.readFileSync(APPEALS_FILE));
+  } catch {
+    return {};
+  }
+}
+
+let appeals = loadAppeals(); // code -> appeal
+
+function saveAppeals() {
+  const now = Date.now();
+
+  // drop old decided / never used appeals
+  for (const [code, a] of Object.entries(appeals)) {
+    if (now - (a.decidedAt || a.createdAt) > APPEAL_KEEP) delete appeals[code];
+  }
+
+  try {
+    fs.writeFileSync(APPEALS_FILE, JSON.stringify(appeals, null, 2));
+  } catch {}
+}
+
+function getGroupAppeals(groupId, status = "pending") {
+  return Object.values(appeals)
+    .filter(a => a.groupId === groupId && a.status === status)
+    .sort((a, b) => a.submittedAt - b.submittedAt);
+}
+
+// DM the member an appeal code (one open appeal per member and group)
+async function offerAppeal(sock, groupId, userJid, action, reason = "") {
+  let appeal = Object.values(appeals).find(a =>
+    a.groupId === groupId && a.user === userJid && ["open", "pending"].includes(a.status)
+  );
+
+  if (!appeal) {
+    let code;
+    do {
+      code = crypto.randomBytes(3).toString("hex").toUpperCase();
+    } while (appeals[code]);
+
+    appeal = appeals[code] = {
+      code,
+      groupId,
+      user: userJid,
+      action,
+      reason,
+      status: "open",
+      createdAt: Date.now()
+    };
+  } else if (appeal.status === "pending") {
+    // already sent to the admins, don't reopen it
+    return;
+  } else {
+    Object.assign(appeal, { action, reason, createdAt: Date.now() });
+  }
+
+  saveAppeals();
+
+  const metadata = await getCachedGroupMetadata(sock, groupId);
+  const groupName = metadata?.subject || "a group";
+
+  await sock.sendMessage(userJid, {
+    text:
+`⚖️ You were ${APPEAL_ACTIONS[action]} *${groupName}*.
+${reason ? `\n📝 Reason: ${reason}\n` : ""}
+If you think this was a mistake, you can appeal within 7 days:
+
+*.appeal ${appeal.code} <your message>*`
+  }).catch(err => console.error("❌ Failed to send appeal code:", err.message));
+}
+
+// Member side (DM): .appeal <code> <message>
+async function submitAppeal(sock, userJid, code, message) {
+  const appeal = appeals[code?.toUpperCase()];
+
+  // Codes can be shared or guessed → only the sanctioned member can use theirs
+  if (!appeal || appeal.user !== userJid) return "❌ Unknown appeal code.";
+  if (appeal.status === "pending") return "⏳ This appeal was already sent. Please wait for the admins.";
+  if (appeal.status !== "open") return `ℹ️ This appeal was already ${appeal.status}.`;
+  if (Date.now() - appeal.createdAt > APPEAL_VALIDITY) return "⌛ This appeal code has expired.";
+  if (!message) return "❌ Add a message explaining your appeal.\nExample: .appeal ABC123 I shared that link by mistake";
+
+  Object.assign(appeal, {
+    status: "pending",
+    message: message.slice(0, 1000),
+    from: userJid,
+    submittedAt: Date.now()
+  });
+  saveAppeals();
+
+  const metadata = await getCachedGroupMetadata(sock, appeal.groupId);
+  const groupName = metadata?.subject || appeal.groupId;
+
+  await notifyGroupAdmins(sock, appeal.groupId,
+`📨 *New appeal* — ${groupName}
+
+👤 ${appeal.user.split("@")[0]}
+⚖️ Action: ${appeal.action}${appeal.reason ? `\n📝 Reason: ${appeal.reason}` : ""}
+
+💬 ${appeal.message}
+
+Reply here or in the group:
+✅ .appeal approve ${appeal.code}
+❌ .appeal deny ${appeal.code} <note>`);
+
+  return null;
+}
+
+// Admin side: returns an error string or null
+async function decideAppeal(sock, code, adminJid, approve, note = "", groupId = null) {
+  const appeal = appeals[code?.toUpperCase()];
+
+  if (!appeal || (groupId && appeal.groupId !== groupId)) return "❌ Unknown appeal code.";
+  if (appeal.status !== "pending") return `ℹ️ This appeal is ${appeal.status === "open" ? "not submitted yet" : `already ${appeal.status}`}.`;
 
-    return { category, reason };
+  const admins = (await getGroupAdmins(sock, appeal.groupId)) || [];
+  if (!admins.includes(adminJid)) return "❌ Only admins of that group can decide this appeal.";
 
-  } catch (err) {
+  const { groupId: gid, user } = appeal;
+  let rejoin = "";
 
-    console.log("Gemini NSFW error:", err?.response?.data || err.message);
+  if (approve) {
+    if (appeal.action === "kick") {
+      clearUserStrikes(gid, user);
 
-    return {
-      category: "SAFE",
-      reason: ""
-    };
+      try {
+        const [result] = await sock.groupParticipantsUpdate(gid, [user], "add");
+        if (result?.status !== "200") throw new Error(result?.status);
+        rejoin = "You have been added back to the group.";
+      } catch {
+        // privacy settings may block re-adding → send an invite instead
+        const invite = await sock.groupInviteCode(gid).catch(() => null);
+        rejoin = invite
+          ? `Join again here: https://chat.whatsapp.com/${invite}`
+          : "Ask an admin to add you back.";
+      }
+    }
 
-  }
-}
-const warningCache = {};
-const floodWarnings = {};
-const mentionWarnings = {};
-const nsfwDailyLimit = {};
-const ANTILINK_LOG_FILE = path.join(__dirname, "antilink_logs.json");
+    if (appeal.action === "ban") {
+      removeLocalBan(gid, user);
+      cancelSanction(gid, "tempban", user);
+      await removeBanFromBackend(gid, user).catch(() => {});
+    }
 
-// Load logs
-function loadAntiLinkLogs() {
-  try {
-    if (!fs.existsSync(ANTILINK_LOG_FILE)) {
-      fs.writeFileSync(ANTILINK_LOG_FILE, JSON.stringify([], null, 2));
+    if (appeal.action === "tempban") {
+      await liftSanction(sock, gid, "tempban", user, { by: adminJid });
     }
-    return JSON.parse(fs.readFileSync(ANTILINK_LOG_FILE));
-  } catch {
-    return [];
   }
-}
 
-// Save logs
-function saveAntiLinkLogs(data) {
-  try {
-    fs.writeFileSync(ANTILINK_LOG_FILE, JSON.stringify(data, null, 2));
-  } catch {}
+  Object.assign(appeal, {
+    status: approve ? "approved" : "denied",
+    decidedBy: adminJid,
+    decidedAt: Date.now(),
+    note
+  });
+  saveAppeals();
+
+  logModAction({
+    groupId: gid,
+    target: user,
+    actor: adminJid,
+    module: "appeal",
+    action: approve ? "appeal-approved" : "appeal-denied",
+    reason: `${appeal.action} appeal ${appeal.code}${note ? `: ${note}` : ""}`
+  });
+
+  await sock.sendMessage(appeal.from || user, {
+    text: approve
+      ? `✅ Your appeal *${appeal.code}* was approved.${rejoin ? `\n\n${rejoin}` : ""}`
+      : `❌ Your appeal *${appeal.code}* was denied.${note ? `\n\n📝 ${note}` : ""}`
+  }).catch(() => {});
+
+  return null;
 }
 
-// Add log
-function logDeletedMessage(entry) {
-  const logs = loadAntiLinkLogs();
-  logs.push(entry);
+// DM entry point: .appeal <code> <message> / .appeal approve|deny <code> [note]
+async function handleAppealDM(sock, userJid, text) {
+  const [, first = "", second = "", ...rest] = text.trim().split(/\s+/);
+  const sub = first.toLowerCase();
 
-  // keep last 1000 logs only
-  if (logs.length > 1000) logs.shift();
+  if (sub === "approve" || sub === "deny") {
+    const error = await decideAppeal(sock, second, userJid, sub === "approve", rest.join(" "));
 
-  saveAntiLinkLogs(logs);
+    await sock.sendMessage(userJid, {
+      text: error || `⚖️ Appeal *${second.toUpperCase()}* ${sub === "approve" ? "approved" : "denied"}.`
+    });
+    return;
+  }
+
+  if (!first) {
+    await sock.sendMessage(userJid, {
+      text: "❌ Usage: .appeal <code> <message>\nYou receive the code in a DM when you are kicked or banned."
+    });
+    return;
+  }
+
+  const error = await submitAppeal(sock, userJid, first, [second, ...rest].join(" ").trim());
+
+  await sock.sendMessage(userJid, {
+    text: error || "📨 Your appeal was sent to the group admins. You will get an answer here."
+  });
 }
 async function handleGroupProtection(sock,msg){
 
@@ -4565,6 +7838,12 @@ if(!participant) return;
 
 if(["admin","superadmin"].includes(participant.admin)) return;
 
+// 🔇 Muted member: every message is removed
+if(isUserMuted(from,userId)){
+  await sock.sendMessage(from,{ delete: msg.key }).catch(()=>{});
+  return;
+}
+
 const text = getMessageContent(msg) || "";
 const now = Date.now();
 
@@ -4581,13 +7860,19 @@ text,
 time:now
 });
 
-if(userMessages.length > 15)
+// keep enough history for the highest flood/spam limits
+if(userMessages.length > 50)
   userMessages.shift();
 
 const mention = "@"+userId.split("@")[0];
 
 const settings = groupCommandsCache[from] || {};
 
+// 🔇 Muted group → keep moderating silently
+if (isGroupMuted(from)) sock = silentSocket(sock);
+
+const limits = getGroupProtection(from);
+
 
 // -------------------- ULTRA ANTI-LINK SYSTEM (FINAL) --------------------
 if (settings.antilinks === "on") {
@@ -4727,29 +8012,16 @@ if (settings.antilinks === "on") {
     console.log("❌ Delete failed:", err.message);
   }
 
-  // -------------------- WARN SYSTEM --------------------
-  if (!linkWarnings[from]) linkWarnings[from] = {};
-  if (!linkWarnings[from][userId]) linkWarnings[from][userId] = 0;
-
-  linkWarnings[from][userId]++;
-  const warn = linkWarnings[from][userId];
-
-  // -------------------- RESPONSE --------------------
-  if (warn < 5) {
-    let warnText = `🚫 *ANTI-LINK SYSTEM*\n\n⚠️ @${username}\nLinks / channels / invites / buttons are not allowed.\n\nWarning: ${warn}/5`;
-    if (newsletterName) warnText += `\n📰 Newsletter detected: ${newsletterName}`;
-    await sock.sendMessage(from, { text: warnText, mentions: [userId] });
-  } else {
-    await sock.sendMessage(from, {
-      text: `🔨 *ANTI-LINK SYSTEM*\n\n@${username} exceeded warnings.\n\n❌ User removed`,
-      mentions: [userId]
-    });
-
-    try { await sock.groupParticipantsUpdate(from, [userId], "remove"); } catch {}
+  // -------------------- STRIKE --------------------
+  let reason = t(from, "protection.antilinks.reason");
+  if (newsletterName) reason += `\n${t(from, "protection.antilinks.newsletter", { name: newsletterName })}`;
 
-    linkWarnings[from][userId] = 0;
-    if (protectionCache.messages?.[from]?.[userId]) delete protectionCache.messages[from][userId];
-  }
+  await addStrike(sock, from, userId, {
+    module: "antilinks",
+    title: t(from, "protection.antilinks.title"),
+    reason,
+    deleted: true
+  });
 
   return; // stop further processing
 }
@@ -4758,23 +8030,11 @@ if (settings.antilinks === "on") {
 
 if (settings.antispam === "on") {
 
-  const SPAM_WINDOW = 30000; // 30 seconds
-  const DUPLICATE_LIMIT = 4;
-  const MAX_WARNINGS = 3;
+  const SPAM_WINDOW = limits.spamWindow;
+  const DUPLICATE_LIMIT = limits.spamDuplicates;
 
   const cleanText = (text || "").trim().toLowerCase();
 
-  if (!warningCache[from]) warningCache[from] = {};
-  if (!warningCache[from][userId]) {
-    warningCache[from][userId] = {
-      count: 0,
-      lastText: "",
-      lastTime: 0
-    };
-  }
-
-  const spamData = warningCache[from][userId];
-
   // Get recent messages
   const recent = userMessages.filter(m => now - m.time < SPAM_WINDOW);
 
@@ -4782,46 +8042,17 @@ if (settings.antispam === "on") {
     m => (m.text || "").trim().toLowerCase() === cleanText
   );
 
-  // Reset spam if message changes
-  if (spamData.lastText !== cleanText) {
-    spamData.count = 0;
-  }
-
-  spamData.lastText = cleanText;
-  spamData.lastTime = now;
-
   if (duplicates.length >= DUPLICATE_LIMIT) {
 
-    spamData.count++;
-
-    const warn = spamData.count;
-    const username = userId.split("@")[0];
-
-    if (warn <= MAX_WARNINGS) {
-
-      await sock.sendMessage(from,{
-        text:`⚠️ @${username} stop spamming!\nWarning ${warn}/${MAX_WARNINGS}`,
-        mentions:[userId]
-      });
-
-    } else {
-
-      await sock.sendMessage(from,{
-        text:`🚫 @${username} removed for spam`,
-        mentions:[userId]
-      });
+    // next strike needs a new burst
+    userMessages.length = 0;
 
-      try{
-        await sock.groupParticipantsUpdate(from,[userId],"remove");
-      }catch{}
-
-      spamData.count = 0;
-      spamData.lastText = "";
-
-      if (protectionCache.messages?.[from]?.[userId])
-        delete protectionCache.messages[from][userId];
-
-    }
+    await addStrike(sock, from, userId, {
+      module: "antispam",
+      title: t(from, "protection.antispam.title"),
+      reason: t(from, "protection.antispam.reason"),
+      msgKey: msg.key
+    });
 
     return;
   }
@@ -4831,59 +8062,22 @@ if (settings.antispam === "on") {
 
 if (settings.antiflood === "on") {
 
-  const FLOOD_WINDOW = 5000;   // 5 seconds
-  const FLOOD_LIMIT = 6;       // 6 messages in window
-  const MAX_WARNINGS = 3;
+  const FLOOD_WINDOW = limits.floodWindow;
+  const FLOOD_LIMIT = limits.floodLimit;
 
   const recent = userMessages.filter(m => now - m.time < FLOOD_WINDOW);
 
   if (recent.length >= FLOOD_LIMIT) {
 
-    if (!floodWarnings[from]) floodWarnings[from] = {};
-    if (!floodWarnings[from][userId]) floodWarnings[from][userId] = {
-      count: 0,
-      last: 0
-    };
-
-    const warnData = floodWarnings[from][userId];
-
-    // reset warnings if user stopped flooding for 1 minute
-    if (now - warnData.last > 60000) {
-      warnData.count = 0;
-    }
-
-    warnData.count++;
-    warnData.last = now;
-
-    const mention = "@" + userId.split("@")[0];
-
-    if (warnData.count <= MAX_WARNINGS) {
+    // next strike needs a new burst
+    userMessages.length = 0;
 
-      await sock.sendMessage(from,{
-        text:`⚠️ ${mention} stop flooding! Warning ${warnData.count}/${MAX_WARNINGS}`,
-        mentions:[userId]
-      });
-
-    }
-
-    if (warnData.count > MAX_WARNINGS) {
-
-      await sock.sendMessage(from,{
-        text:`🚫 ${mention} removed for flooding`,
-        mentions:[userId]
-      });
-
-      try{
-        await sock.groupParticipantsUpdate(from,[userId],"remove");
-      }catch{}
-
-      warnData.count = 0;
-
-      if (protectionCache.messages?.[from]?.[userId]) {
-        delete protectionCache.messages[from][userId];
-      }
-
-    }
+    await addStrike(sock, from, userId, {
+      module: "antiflood",
+      title: t(from, "protection.antiflood.title"),
+      reason: t(from, "protection.antiflood.reason"),
+      msgKey: msg.key
+    });
 
     return;
   }
@@ -4900,56 +8094,22 @@ if (settings.antimention === "on") {
     msg.message?.groupStatusMentionMessage ||
     msg.message?.statusMentionMessage;
 
-  if (!mentionWarnings[from]) mentionWarnings[from] = {};
-  if (!mentionWarnings[from][userId]) {
-    mentionWarnings[from][userId] = 0;
-  }
-
-  const username = userId.split("@")[0];
-
-  const tooManyMentions = mentions.length > 10;
+  const tooManyMentions = mentions.length > limits.mentionLimit;
   const isStatusMention = !!statusMention;
 
   if (tooManyMentions || isStatusMention) {
 
-    mentionWarnings[from][userId]++;
-
-    const warn = mentionWarnings[from][userId];
-
     // delete message
     try {
       await sock.sendMessage(from, { delete: msg.key });
     } catch {}
 
-    if (warn <= 3) {
-
-      await sock.sendMessage(from, {
-        text:
-`⚠️ @${username}
-
-Mention spam is not allowed.
-
-Warning ${warn}/3`,
-        mentions: [userId]
-      });
-
-    } else {
-
-      await sock.sendMessage(from, {
-        text:
-`🚫 @${username} removed for mention spam`,
-        mentions: [userId]
-      });
-
-      try {
-        await sock.groupParticipantsUpdate(from, [userId], "remove");
-      } catch {}
-
-      mentionWarnings[from][userId] = 0;
-
-      if (protectionCache.messages?.[from]?.[userId])
-        delete protectionCache.messages[from][userId];
-    }
+    await addStrike(sock, from, userId, {
+      module: "antimention",
+      title: t(from, "protection.antimention.title"),
+      reason: t(from, "protection.antimention.reason"),
+      deleted: true
+    });
 
     return;
   }
@@ -4965,9 +8125,11 @@ try{
 
 await sock.sendMessage(from,{delete:msg.key});
 
-await sock.sendMessage(from,{
-text:`🚫 @${userId.split("@")[0]} message removed (bad word detected)`,
-mentions:[userId]
+await addStrike(sock, from, userId, {
+module:"antibadwords",
+title:t(from,"protection.antibadwords.title"),
+reason:t(from,"protection.antibadwords.reason"),
+deleted:true
 });
 
 }catch{}
@@ -4986,25 +8148,16 @@ if (settings.antistickers === "on") {
 
   if (isSticker) {
 
-    const username = userId.split("@")[0];
-
     // Delete sticker immediately
     try {
       await sock.sendMessage(from, { delete: msg.key });
     } catch {}
 
-    // Optional warning
-    await sock.sendMessage(from, {
-      text:
-`┏━━━ 🚫 *ANTI-STICKER PROTECTION* ━━━┓
-┃
-┃ ⚠️ @${username}
-┃ Stickers are not allowed in this group.
-┃
-┃ Please follow group rules.
-┃
-┗━━━━━━━━━━━━━━━━━━━━━━━`,
-      mentions: [userId]
+    await addStrike(sock, from, userId, {
+      module: "antistickers",
+      title: t(from, "protection.antistickers.title"),
+      reason: t(from, "protection.antistickers.reason"),
+      deleted: true
     });
 
     return; // stop further processing
@@ -5027,25 +8180,22 @@ const isSticker =
 if (!imageMsg || isSticker) return;
 
 const userKey = userId;
-const now = Date.now();
 
 // ================= BAN CHECK =================
-if (nsfwWarnings[userKey]?.bannedUntil > now) {
+if (getTimedBan(from, "imageBans", userId)) {
 
-  // ❌ user violated ban → delete + kick
+  // ❌ user violated ban → delete + strike
   try {
     await sock.sendMessage(from, { delete: msg.key });
   } catch {}
 
-  await sock.sendMessage(from, {
-    text: `🚫 @${userId.split("@")[0]}, you violated the 24h image ban.\nYou have been removed.`,
-    mentions: [userId]
+  await addStrike(sock, from, userId, {
+    module: "antisexual",
+    title: t(from, "protection.imageban.title"),
+    reason: t(from, "protection.imageban.reason"),
+    deleted: true
   });
 
-  try {
-    await sock.groupParticipantsUpdate(from, [userId], "remove");
-  } catch {}
-
   return;
 }
 
@@ -5076,8 +8226,6 @@ while (userImageQueue[userKey].length > 0) {
 
     if (["NUDITY", "EXPLICIT"].includes(result.category)) {
 
-      const username = userId.split("@")[0];
-
       // 🧹 delete current image
       try {
         await sock.sendMessage(from, { delete: currentMsg.key });
@@ -5091,37 +8239,15 @@ while (userImageQueue[userKey].length > 0) {
         } catch {}
       }
 
-      // ================= WARNING SYSTEM =================
-      if (!nsfwWarnings[userKey]) {
-
-        nsfwWarnings[userKey] = {
-          warned: true,
-          bannedUntil: now + (24 * 60 * 60 * 1000) // 24h
-        };
-
-        await sock.sendMessage(from, {
-          text:
-`⚠️ *WARNING*
-
-@${username}, your image contained inappropriate content.
-
-🚫 You are banned from sending images for 24 hours.
-If you send another image during this time, you will be removed.`,
-          mentions: [userId]
-        });
-
-      } else {
-
-        // second offense AFTER warning → kick
-        await sock.sendMessage(from, {
-          text: `🚫 @${username}, you ignored the warning. You have been removed.`,
-          mentions: [userId]
-        });
+      // ================= STRIKE + IMAGE BAN =================
+      setTimedBan(from, "imageBans", userId, NSFW_IMAGE_BAN);
 
-        try {
-          await sock.groupParticipantsUpdate(from, [userId], "remove");
-        } catch {}
-      }
+      await addStrike(sock, from, userId, {
+        module: "antisexual",
+        title: t(from, "protection.antisexual.title"),
+        reason: t(from, "protection.antisexual.reason"),
+        deleted: true
+      });
 
       break; // stop processing more images
     }
@@ -5136,7 +8262,7 @@ userProcessing[userKey] = false;
 }
 // -------------------- SLOWMODE --------------------
 if (settings.slowmode === "on") {
-  const SLOW_DELAY = 10 * 1000; // 10 seconds per message
+  const SLOW_DELAY = limits.slowDelay;
   if (!protectionCache.slowmode[from]) protectionCache.slowmode[from] = {};
 
   const lastMsgTime = protectionCache.slowmode[from][userId] || 0;
@@ -5158,9 +8284,17 @@ if (settings.slowmode === "on") {
     // Delete the message if sent too soon
     try { await sock.sendMessage(from, { delete: msg.key }); } catch {}
 
+    logModAction({
+      groupId: from,
+      target: userId,
+      module: "slowmode",
+      action: "delete",
+      reason: `Message sent before the ${formatDuration(SLOW_DELAY)} delay`
+    });
+
     // Optional: notify the user
     await sock.sendMessage(from, {
-      text: `⏳ @${userId.split("@")[0]}, slow mode is enabled. Wait 10 seconds before sending another message.`,
+      text: `⏳ @${userId.split("@")[0]}, slow mode is enabled. Wait ${formatDuration(SLOW_DELAY)} before sending another message.`,
       mentions: [userId]
     });
 
@@ -5205,8 +8339,8 @@ async function sendGroupMenu(sock, from, sender) {
     const menuPageURL = "https://bot.kiroflix.site/menu"; // replace with your actual menu page
 
     // -------------------- BUILD MENU TEXT --------------------
-    let text = `📋 *Kiroflix Bot Menu*\n`;
-    text += `🌐 View Full Menu Online: ${menuPageURL}\n\n`;
+    let text = `${t(from, "menu.title")}\n`;
+    text += `${t(from, "menu.online", { url: menuPageURL })}\n\n`;
 
     for (const category in categories) {
       text += `📂 *${category}*\n`;
@@ -5216,7 +8350,7 @@ async function sendGroupMenu(sock, from, sender) {
       text += "\n";
     }
 
-    text += `💡 Type *.command explain* for details`;
+    text += t(from, "menu.explain");
 
     // -------------------- SEND MENU --------------------
     await sock.sendMessage(from, { text });
@@ -5226,6 +8360,156 @@ async function sendGroupMenu(sock, from, sender) {
   }
 }
 
+function buildSettingsSummary(groupId) {
+  const cache = groupCommandsCache[groupId] || {};
+
+  let msgText = `${t(groupId, "settings.title")}\n\n`;
+
+  for (const cmd in toggledCommands) {
+
+    let status = cache[cmd] || "on";
+
+    msgText += `• .${cmd} → ${status === "on" ? "✅ ON" : "❌ OFF"}\n`;
+  }
+
+  msgText += `\n${t(groupId, "settings.protection")}\n\n${describeGroupProtection(groupId)}`;
+
+  return msgText;
+}
+
+//
+// -------------------- GROUP RESET --------------------
+//
+
+const pendingResetConfirm = {}; // groupId -> { admin, expires }
+const RESET_CONFIRM_TIME = 60 * 1000;
+
+// Restore commands, bad words, welcome/farewell, ranks, slowmode and protection thresholds to defaults.
+// Returns [{ step, ok, error }] so the admin sees what failed on the backend.
+async function resetGroupConfig(sock, groupId, adminId) {
+  const report = [];
+
+  const runStep = async (step, fn) => {
+    try {
+      await fn();
+      report.push({ step, ok: true });
+    } catch (err) {
+      console.error(`❌ Reset step '${step}' failed:`, err.message);
+      report.push({ step, ok: false, error: err.message });
+    }
+  };
+
+  // 1️⃣ Commands
+  await runStep("Commands", async () => {
+    const defaults = getDefaultCommands();
+    const current = groupCommandsCache[groupId] || {};
+    let failed = 0;
+
+    // mute also owns a timer → reset through the mute helper
+    if (protectionDB.groups?.[groupId]?.mute || current.mute === "on") {
+      await unmuteGroup(sock, groupId, adminId);
+    }
+
+    const saved = { ...defaults, ...(groupCommandsCache[groupId] || {}) };
+
+    for (const cmd of Object.keys(defaults)) {
+      if (cmd === "mute" || current[cmd] === defaults[cmd]) continue;
+
+      const result = await updateCommandStatus(groupId, adminId, cmd, defaults[cmd]);
+
+      // only what the backend stored goes in the cache
+      if (result?.status === "error") failed++;
+      else saved[cmd] = defaults[cmd];
+    }
+
+    groupCommandsCache[groupId] = saved;
+
+    if (failed) throw new Error(`${failed} command(s) not saved`);
+  });
+
+  // 2️⃣ Bad words
+  await runStep("Bad words", async () => {
+    const words = badWordsDB.groups[groupId] || [];
+
+    if (words.length) {
+      const res = await axios.post("https://kiroflix.site/backend/remove_badwords.php", {
+        group_id: groupId,
+        words
+      });
+
+      // local list stays when the backend kept the words
+      if (!res.data?.success) throw new Error(res.data?.error || "API error");
+    }
+
+    delete badWordsDB.groups[groupId];
+    saveBadWords();
+  });
+
+  // 3️⃣ Welcome message
+  await runStep("Welcome message", async () => {
+    const res = await axios.post("https://kiroflix.site/backend/update_welcome.php", {
+      group_id: groupId,
+      admin_id: adminId,
+      welcome_text: ""
+    });
+
+    if (!res.data?.success) throw new Error(res.data?.error || "API error");
+
+    delete welcomeCache[groupId];
+  });
+
+  // 4️⃣ Farewell message
+  await runStep("Farewell message", async () => {
+    const res = await axios.post("https://kiroflix.site/backend/update_salutation.php", {
+      group_id: groupId,
+      admin_id: adminId,
+      salutation_text: "",
+      image_base64: null
+    });
+
+    if (!res.data?.success) throw new Error(res.data?.error || "API error");
+
+    delete goodbyeCache[groupId];
+    delete pendingFarewellConfirm[groupId];
+  });
+
+  // 5️⃣ Ranks
+  await runStep("Ranks", async () => {
+    const ranks = rankCache[groupId] || [];
+    const remaining = [];
+
+    for (const rank of ranks) {
+      const res = await axios.post("https://kiroflix.site/backend/delete_rank.php", {
+        id: rank.id
+      });
+
+      if (!res.data?.success) remaining.push(rank);
+    }
+
+    if (remaining.length) {
+      rankCache[groupId] = remaining;
+      throw new Error(`${remaining.length} rank(s) not deleted`);
+    }
+
+    delete rankCache[groupId];
+  });
+
+  // 6️⃣ Slowmode state
+  await runStep("Slowmode", async () => {
+    delete protectionCache.slowmode[groupId];
+  });
+
+  // 7️⃣ Protection thresholds
+  await runStep("Protection thresholds", async () => {
+    if (protectionDB.groups?.[groupId]?.settings) {
+      delete protectionDB.groups[groupId].settings;
+      saveDB(protectionDB);
+    }
+  });
+
+  return report;
+}
+
 //
 // -------------------- GROUP TOGGLE HANDLER --------------------
 //
@@ -5247,6 +8531,9 @@ async function handleGroupToggle(sock, from, sender, text) {
 
     if (!toggledCommands[command]) return false;
 
+    // ".mute on/off" also owns a timer → commands/mute.js
+    if (commandRouter.resolve(command)?.handlesOnOff) return false;
+
     // -------------------- COOLDOWN (ANTI SPAM) --------------------
     const now = Date.now();
     if (!toggleCooldown[from]) toggleCooldown[from] = 0;
@@ -5377,6 +8664,25 @@ async function saveBanToBackend(groupId, userId) {
     console.error("❌ Failed to save ban:", err);
   }
 
+}
+function removeLocalBan(groupId, userId) {
+
+  if (bannedUsers[groupId]?.includes(userId)) {
+    bannedUsers[groupId] = bannedUsers[groupId].filter(u => u !== userId);
+  }
+
+}
+// Throws when the backend didn't accept the removal
+async function removeBanFromBackend(groupId, userId) {
+
+  const res = await fetch(`${BACKEND_URL}removeBannedUser.php`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ group_id: groupId, user_id: userId })
+  });
+
+  if (!res.ok) throw new Error(`removeBannedUser.php returned ${res.status}`);
+
 }
 // Admin cache
 const adminCache = {};
@@ -5477,10 +8783,17 @@ async function handleBanCommand(sock, msg, text) {
       continue;
     }
 
+    // a pending tempban would lift this ban when it expires
+    cancelSanction(from, "tempban", userId);
+
     addLocalBan(from, userId);
 
     await saveBanToBackend(from, userId);
 
+    logModAction({ groupId: from, target: userId, actor: sender, module: "ban", action: "ban", reason: "Banned from using the bot" });
+
+    await offerAppeal(sock, from, userId, "ban", "Banned by an admin");
+
     await sock.sendMessage(from, {
       text: `🚫 @${userId.split("@")[0]} is banned from using the bot.`,
       mentions: [userId]
@@ -6105,6 +9418,18 @@ function runDailyRandom(task) {
 // Persistent set for groups where bot is admin
 const botAdminGroups = new Set();
 const BOT_ID = process.env.BOT_ID;
+
+// admins: fresh list from getGroupAdmins → also corrects botAdminGroups
+// (promotions / demotions made while the bot was offline)
+function isBotAdmin(groupId, admins = null) {
+  if (!admins || !BOT_ID) return botAdminGroups.has(groupId);
+
+  const isAdmin = admins.includes(BOT_ID);
+  if (isAdmin) botAdminGroups.add(groupId);
+  else botAdminGroups.delete(groupId);
+
+  return isAdmin;
+}
 async function logAdminGroupIds(sock) {
   try {
     console.log("🔍 Checking admin groups...");
@@ -6207,9 +9532,30 @@ Analyze these 100 messages and assign general points (0–5) per user based on:
 - Admin actions/efforts
 Do NOT assign points per message. Give a summary per user in JSON.
 
+Return JSON only, keyed by user id:
+{
+  "user@jid": { "points": 3, "summary": "short reason" }
+}
+
 Messages: ${JSON.stringify(chunkData.messages)}
 `;
-        const aiResponse = await askAI(promptPoints);
+        const userPoints = await askAIJson(promptPoints, {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            properties: {
+              points: { type: "number", minimum: 0, maximum: 5, default: 0 },
+              summary: { type: "string", default: "" }
+            }
+          }
+        }, { task: "analysis", groupId: gid, fallback: null });
+
+        if (!userPoints) {
+          console.error(`❌ No valid AI points for group ${gid}`);
+          continue;
+        }
+
+        const aiResponse = JSON.stringify(userPoints);
         console.log(`📝 AI summary points for group ${gid}:\n`, aiResponse);
 
         // Save history
@@ -6221,14 +9567,6 @@ Messages: ${JSON.stringify(chunkData.messages)}
         history.push({ timestamp: new Date().toISOString(), aiResponse });
         fs.writeFileSync(groupFile, JSON.stringify(history, null, 2));
 
-        // Clean JSON
-        const aiResponseClean = aiResponse.replace(/```json/g, "").replace(/```/g, "").trim();
-        let userPoints = {};
-        try { userPoints = JSON.parse(aiResponseClean); } catch (err) {
-          console.error("❌ Failed parsing AI JSON:", err.message);
-          continue;
-        }
-
         // Save points
         for (const [userId, data] of Object.entries(userPoints)) {
           const pts = data.points || 0;
@@ -6270,7 +9608,7 @@ Messages:
 ${messagesText}
 `;
 
-        const aiSuggestion = await askAI(promptSuggestion);
+        const aiSuggestion = await askAI(promptSuggestion, { task: "analysis", groupId: gid });
         if (aiSuggestion && aiSuggestion.length < 200) { // only short casual suggestion
           // Find the latest message ID to reply to
           const lastMessage = chunkData.messages[chunkData.messages.length - 1];
@@ -6499,6 +9837,7 @@ async function sendFriendlyNudge(sock) {
     for (const groupId of selectedGroups) {
       const cmds = groupCommandsCache[groupId];
       if (!cmds) continue;
+      if (isGroupMuted(groupId)) continue;
 
       if (!suggestedFeaturesCache[groupId]) suggestedFeaturesCache[groupId] = {};
 
@@ -6567,6 +9906,76 @@ async function sendFriendlyNudge(sock) {
 }
 const translateCooldown = {}; // { userId: { count, lastTime } }
 
+// -------------------- COMMAND ROUTER --------------------
+// Group commands living in ./commands (see commandRouter.js)
+const commandRouter = createCommandRouter({
+  toggledCommands,
+  nonToggledCommands,
+  groupCommandsCache,
+  getGroupAdmins,
+  isBotAdmin,
+  t,
+  services: {
+    BACKEND_URL,
+    i18n,
+    searchAnimeCharacter,
+    waifuClaims,
+    fetchWaifus,
+    parseDuration,
+    formatDuration,
+    getGroupProtection,
+    applyProtectionSetting,
+    resetProtectionModule,
+    describeGroupProtection,
+    updateCommandStatus,
+    setCommandStatus,
+    addStrike,
+    getUserStrikes,
+    getGroupStrikes,
+    clearUserStrikes,
+    getStrikeAction,
+    logModAction,
+    queryModLogs,
+    modLogsToCSV,
+    getRaidAllowlist,
+    setRaidAllowed,
+    getRaidLock: groupId => protectionDB.groups?.[groupId]?.raidLock || null,
+    unlockGroupAfterRaid,
+    getSanction,
+    isPermanentlyBanned,
+    applySanction,
+    liftSanction,
+    isGroupMuted,
+    muteGroup,
+    unmuteGroup,
+    getMuteUntil: groupId => protectionDB.groups?.[groupId]?.mute?.until || null,
+    MAX_MUTE_DURATION,
+    MAX_SANCTION_DURATION,
+    pendingResetConfirm,
+    RESET_CONFIRM_TIME,
+    watchParties,
+    startWatchParty,
+    joinWatchParty,
+    leaveWatchParty,
+    pauseWatchParty,
+    resumeWatchParty,
+    nextWatchPartyEpisode,
+    endWatchParty,
+    sendWatchPartyStatus,
+    startAIRequest,
+    handleEpisodeList,
+    handleAnimeInfo,
+    handleSubsCommand,
+    getAIUsage,
+    setAIGroupLimit,
+    offerAppeal,
+    getGroupAppeals,
+    decideAppeal
+  }
+});
+
+commandRouter.loadDirectory(path.join(__dirname, "commands"));
+
 async function startBot() {
   
   const { state, saveCreds } = await useMultiFileAuthState("auth");
@@ -6628,6 +10037,9 @@ async function startBot() {
       await fetchRanks();
       checkNewEpisodes(sock);
       checkNewChapters(sock);
+      restoreMuteTimers(sock);
+      restoreRaidLocks(sock);
+      restoreSanctionTimers(sock);
       if (!schedulerStarted) {
 
   schedulerStarted = true;
@@ -6710,6 +10122,7 @@ setInterval(async () => {
 
     if (groupCommandsCache[groupId]?.bot === "off") continue;
     if (groupCommandsCache[groupId]?.autogames !== "on") continue;
+    if (isGroupMuted(groupId)) continue;
     
 
     console.log("🎮 Starting game in", groupId);
@@ -6827,21 +10240,13 @@ Group: ${groupName}
     }
 
     // -------------------- ANTI RAID --------------------
-    if (["add", "invite"].includes(update.action)) {
-      const now = Date.now();
+    let raidRemoved = new Set();
 
-      if (!protectionCache.joins[groupId])
-        protectionCache.joins[groupId] = [];
-
-      protectionCache.joins[groupId].push(now);
-
-      protectionCache.joins[groupId] =
-        protectionCache.joins[groupId].filter(t => now - t < 15000);
-
-      if (protectionCache.joins[groupId].length >= 8) {
-        await sock.sendMessage(groupId, {
-          text: "🚨 Raid detected! Too many users joined."
-        });
+    if (["add", "invite"].includes(update.action)) {
+      try {
+        raidRemoved = await handleRaidJoins(sock, update, metadata);
+      } catch (err) {
+        console.error("❌ Anti-raid error:", err.message);
       }
     }
 
@@ -6849,7 +10254,7 @@ Group: ${groupName}
     if (["add", "invite"].includes(update.action)) {
 
       const defaultTemplate = {
-        text: `👋 Welcome ✦「 {user} 」 to {group}!`,
+        text: t(groupId, "welcome.default", { user: "{user}", group: "{group}" }),
         image: null
       };
 
@@ -6868,6 +10273,8 @@ Group: ${groupName}
         const userJid = typeof participant === "string" ? participant : participant?.id;
         if (!userJid) continue;
 
+        if (raidRemoved.has(userJid)) continue; // removed by anti-raid
+
         const username = userJid.split("@")[0];
 
         // -------------------- BOT INTRO --------------------
@@ -6903,11 +10310,6 @@ I am a *multi-purpose Anime bot* ⚡
         if (protectionCache.slowmode?.[userJid])
           delete protectionCache.slowmode[userJid];
 
-        if (floodWarnings?.[groupId]?.[userJid])
-          delete floodWarnings[groupId][userJid];
-
-        if (warningCache?.[groupId]?.[userJid])
-          delete warningCache[groupId][userJid];
 
         // -------------------- SAFE MESSAGE --------------------
         const safeText = template.text || `👋 Welcome @${username}`;
@@ -6993,7 +10395,17 @@ I am a *multi-purpose Anime bot* ⚡
 });
 
   // 📨 Message listener
-  sock.ev.on("messages.upsert", async ({ messages, type }) => {
+  // AI calls made while handling a message are charged to its group / sender
+  sock.ev.on("messages.upsert", update => {
+    const key = update.messages?.[0]?.key || {};
+
+    return runWithAIScope({
+      groupId: key.remoteJid?.endsWith("@g.us") ? key.remoteJid : null,
+      userId: key.participant || key.remoteJid || null
+    }, () => onMessagesUpsert(update));
+  });
+
+  async function onMessagesUpsert({ messages, type }) {
     try {
 
 if (type !== "notify") return;
@@ -7032,6 +10444,10 @@ msg.message?.videoMessage?.caption ||
 
   return;
 }
+    // ⛔ Temporary bot-ban from the strike ladder
+    if (isGroup && isBotBanned(from, userId)) return;
+    // 🔇 Muted members (messages already deleted by protection)
+    if (isGroup && isUserMuted(from, userId)) return;
     // 🚫 Skip banned users
 
     
@@ -7047,6 +10463,58 @@ msg.message?.videoMessage?.caption ||
       "";
     if (!text) return;
     text = text.trim();
+
+    // 🔇 Muted group → ignore everyone except admins
+    if (isGroup && isGroupMuted(from)) {
+      const admins = (await getGroupAdmins(sock, from)) || [];
+      if (!admins.includes(userId)) return;
+    }
+
+    // 🧠 Wipe the DM conversation memory
+    if (!isGroup && text.toLowerCase() === ".forget") {
+      conversationStore.forget(userId);
+      await sock.sendMessage(from, {
+        text: "🧹 Done! I forgot our conversation and what you were watching or reading."
+      });
+      return;
+    }
+
+    // 🔔 Follow lists: .follow / .followmanhwa / .following / .unfollow / .unfollowmanhwa
+    if (!isGroup && /^\.(follow|followmanhwa|following|unfollow|unfollowmanhwa)\b/i.test(text)) {
+      await handleFollowDM(sock, userId, text);
+      return;
+    }
+
+    // 🌐 DM language (groups use the .language command)
+    if (!isGroup && /^\.language\b/i.test(text)) {
+      const code = text.split(/\s+/)[1];
+
+      if (!code) {
+        const list = i18n.available().map(l => `${l.code} (${l.name})`).join(", ");
+        await sock.sendMessage(from, {
+          text: t(userId, "language.current", { name: t(userId, "language.name"), list })
+        });
+        return;
+      }
+
+      if (!i18n.setLanguage(userId, code)) {
+        await sock.sendMessage(from, {
+          text: t(userId, "language.unknown", { code, list: i18n.available().map(l => l.code).join(", ") })
+        });
+        return;
+      }
+
+      await sock.sendMessage(from, {
+        text: t(userId, "language.set", { name: t(userId, "language.name") })
+      });
+      return;
+    }
+
+    // ⚖️ Appeals are handled in DM before the AI assistant sees them
+    if (!isGroup && text.toLowerCase().startsWith(".appeal")) {
+      await handleAppealDM(sock, userId, text);
+      return;
+    }
      // update last activity time
 
 if (isGroup && text.toLowerCase().startsWith(".salutation edit")) {
@@ -7228,39 +10696,6 @@ if (isGroup && guessCharacterGames[from]) {
    
 const lower = text.trim().toLowerCase();
 
-// -------------------- COMMAND CHECK BEFORE HANDLER --------------------
-
-if (isGroup && text.startsWith(".")) {
-
-  // Extract command name
-  const cmd = text.split(" ")[0].toLowerCase();
-
-  // Commands not available yet
-  const upcomingCommands = [
-    ".mute",
-    ".reset",
-    ".watchparty"
-  ];
-
-  if (upcomingCommands.includes(cmd)) {
-
-    const participant = msg.key.participant || from;
-    const groupAdmins = await getGroupAdmins(sock, from);
-    const isAdmin = groupAdmins.includes(participant);
-
-    if (isAdmin) {
-
-      await sock.sendMessage(from,{
-        text:`⚠️ The command *${cmd}* isn't available yet.\nNext updates will add it!`,
-        mentions:[participant]
-      });
-
-      return;
-    }
-
-  }
-
-}
    // 🎮 Check if group game is running
 // 🎮 Check if group game is running
 // 🎮 Check if group game is running
@@ -7357,6 +10792,43 @@ ${type} Wallpaper`
   }
 
   return;
+}
+// 🤔 User picked an anime from a "which one did you mean?" list
+if (/^\d$/.test(text.trim()) && animeRepliesAllowed(from, isGroup)) {
+  const choiceEntry = findReplyEntry(animeChoiceCache, from, quotedId, isGroup, ANIME_CHOICE_TTL);
+  const anime = choiceEntry?.[1].candidates[Number(text.trim()) - 1];
+
+  if (anime) {
+    const [choiceId, choice] = choiceEntry;
+    delete animeChoiceCache[choiceId];
+
+    const thinking = await sock.sendMessage(from, { text: "🤔 Thinking..." }, { quoted: msg });
+    await handleAnimeRequest(sock, { ...choice.intent, anime }, choice.originalText, from, thinking.key);
+    return;
+  }
+}
+// ▶️ "watch" / "watch 5" on an .animeinfo card
+if (/^watch(\s+\d+)?$/i.test(text.trim()) && animeRepliesAllowed(from, isGroup)) {
+  const infoEntry = findReplyEntry(animeInfoCache, from, quotedId, isGroup, ANIME_INFO_TTL);
+
+  if (infoEntry) {
+    const { anime } = infoEntry[1];
+    const episode = Number(text.trim().split(/\s+/)[1]) || 1;
+
+    const thinking = await sock.sendMessage(from, { text: "🤔 Thinking..." }, { quoted: msg });
+    await handleAnimeRequest(sock, { title: anime.title, anime, episode }, text.trim(), from, thinking.key);
+    return;
+  }
+}
+// 📄 "next" / "prev" / page number on an .episodes list
+// Must quote it, even in DM: an unquoted "next" there means the next episode
+if (quotedId && /^(next|prev|previous|\d{1,3})$/i.test(text.trim()) && animeRepliesAllowed(from, isGroup)) {
+  const list = episodeListCache[quotedId];
+
+  if (list && Date.now() - list.time <= EPISODE_LIST_TTL) {
+    await turnEpisodePage(sock, from, quotedId, list, text.trim());
+    return;
+  }
 }
     // ✅ Group menu command restricted to admins
 // -------------------- MESSAGE HANDLER --------------------
@@ -7376,6 +10848,38 @@ if (isGroup && toggleMatch) {
   if (handled) return;
 }
 }
+// -------------------- ADMIN CONFIRM RESET --------------------
+if (isGroup && lower === "yes" && pendingResetConfirm[from]) {
+
+  const pending = pendingResetConfirm[from];
+  const sender = msg.key.participant || msg.key.remoteJid;
+
+  if (Date.now() > pending.expires) {
+    delete pendingResetConfirm[from];
+  } else if (sender === pending.admin) {
+
+    delete pendingResetConfirm[from];
+
+    const progress = await sock.sendMessage(from,{
+      text:"♻️ Resetting group configuration..."
+    });
+
+    const report = await resetGroupConfig(sock, from, sender);
+
+    await sock.sendMessage(from,{
+      text:
+`♻️ *Group reset complete*
+
+${report.map(r => `${r.ok ? "✅" : "⚠️"} ${r.step}${r.ok ? "" : ` (failed: ${r.error}, try again)`}`).join("\n")}`,
+      edit: progress.key
+    });
+
+    await sock.sendMessage(from,{ text: buildSettingsSummary(from) });
+
+    return;
+  }
+}
+
 // -------------------- ADMIN CONFIRM FAREWELL --------------------
 if (isGroup && text.toLowerCase() === "yes") {
 
@@ -7391,8 +10895,8 @@ if (isGroup && text.toLowerCase() === "yes") {
   const user = pending.user;
 
   const template =
-    goodbyeCache[from] ||
-    "👋 Goodbye {user}\n\nYou are no longer a member of this group.";
+    goodbyeCache[from]?.text ||
+    t(from, "farewell.default", { user: "{user}" });
 
   const username = user.split("@")[0];
 
@@ -7416,7 +10920,7 @@ if (isGroup && text.toLowerCase().startsWith(".translate")) {
   // Must reply to a message
   const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
   if (!quotedMsg) {
-    await sock.sendMessage(from, { text: "❌ Reply to a message to translate it.", mentions: [sender] });
+    await sock.sendMessage(from, { text: t(from, "translate.noReply"), mentions: [sender] });
     return;
   }
 
@@ -7428,13 +10932,13 @@ if (isGroup && text.toLowerCase().startsWith(".translate")) {
     "";
     
   if (!originalText) {
-    await sock.sendMessage(from, { text: "❌ Cannot translate this type of message.", mentions: [sender] });
+    await sock.sendMessage(from, { text: t(from, "translate.unsupported"), mentions: [sender] });
     return;
   }
 
   // Limit message length
   if (originalText.length > 500) {
-    await sock.sendMessage(from, { text: "❌ Message too long to translate (max 500 chars).", mentions: [sender] });
+    await sock.sendMessage(from, { text: t(from, "translate.tooLong"), mentions: [sender] });
     return;
   }
 
@@ -7451,24 +10955,38 @@ if (isGroup && text.toLowerCase().startsWith(".translate")) {
   }
 
   if (userData.count >= 3) {
-    await sock.sendMessage(from, { text: "⏳ Translation limit reached. Try again in 1 minute.", mentions: [sender] });
+    await sock.sendMessage(from, { text: t(from, "translate.rateLimit"), mentions: [sender] });
     return;
   }
 
   userData.count++;
   userData.lastTime = now;
 
+  const quotaError = checkAIQuota(from, sender);
+  if (quotaError) {
+    await sock.sendMessage(from, { text: quotaError, mentions: [sender] });
+    return;
+  }
+  recordAIRequest(from, sender);
+
+  // Target: ".translate fr" / ".translate japanese", defaults to the group language
+  const targetInput = text.trim().split(/\s+/).slice(1).join(" ");
+  const targetCode = i18n.resolveLanguage(targetInput);
+  const targetLanguage = targetCode
+    ? i18n.t(targetCode, "language.english")
+    : (targetInput || t(from, "language.english"));
+
   // -------------------- CALL AI TRANSLATE --------------------
   try {
-    const translatedText = await askAI(`Translate the following text into English:\n${originalText}`);
+    const translatedText = await askAI(`Translate the following text into ${targetLanguage}. Reply with the translation only:\n${originalText}`, { task: "chat", cache: true });
     
     await sock.sendMessage(from, {
-      text: `🌐 Translation:\n${translatedText}`,
+      text: t(from, "translate.result", { language: targetLanguage, text: translatedText }),
       mentions: [sender]
     });
   } catch (err) {
     console.error("❌ Translation error:", err);
-    await sock.sendMessage(from, { text: "⚠️ Failed to translate. Try again later.", mentions: [sender] });
+    await sock.sendMessage(from, { text: t(from, "translate.failed"), mentions: [sender] });
   }
 
   return;
@@ -7535,7 +11053,8 @@ if (isGroup && text.toLowerCase() === ".rules") {
 4. Stickers, images, and media must follow group guidelines.
 5. Violating rules may result in warnings, message deletions, or removal by admins.
 6. The bot may automatically leave groups that violate usage policies.
-7. To give feedback or report issues, DM the bot. All messages are reviewed by bot admins.`;
+7. To give feedback or report issues, DM the bot. All messages are reviewed by bot admins.
+8. If you are kicked or banned, the bot DMs you an appeal code. Reply with *.appeal <code> <message>* and the group admins will review it.`;
 
   await sock.sendMessage(from, { text: message });
   return;
@@ -7598,7 +11117,7 @@ if (text.toLowerCase() === ".flip") {
 // -------------------- RANDOM JOKE --------------------
 if (text.toLowerCase() === ".joke") {
   try {
-    const joke = await askAI({ prompt: "Give me a short, funny anime/meme style joke." });
+    const joke = await askAI({ prompt: "Give me a short, funny anime/meme style joke.", task: "chat" });
     await sock.sendMessage(from, { text: `😂 Joke:\n${joke}` });
   } catch (err) {
     console.error("❌ Joke error:", err);
@@ -7610,7 +11129,7 @@ if (text.toLowerCase() === ".joke") {
 // -------------------- MOTIVATIONAL ANIME QUOTE --------------------
 if (text.toLowerCase() === ".quote") {
   try {
-    const quote = await askAI({ prompt: "Give me a short motivational anime quote." });
+    const quote = await askAI({ prompt: "Give me a short motivational anime quote.", task: "chat" });
     await sock.sendMessage(from, { text: `💡 Quote:\n${quote}` });
   } catch (err) {
     console.error("❌ Quote error:", err);
@@ -8090,63 +11609,9 @@ return;
 
 
 }
- // 💖 WAIFU CLAIM
-// 💖 Claim waifu
-if (isGroup && text.toLowerCase().startsWith(".waifu ")) {
-
-  if (groupCommandsCache[from]?.waifu === "off") return await sock.sendMessage(from,{ text:"❌ Waifu system is disabled." });
-
-  const user = msg.key.participant || msg.key.remoteJid;
-  const characterName = text.slice(7).trim();
-  if (!characterName) return await sock.sendMessage(from,{ text:"Usage:\n .waifu <character name>" });
-
-  const character = await searchAnimeCharacter(characterName);
-  if (!character) return await sock.sendMessage(from,{ text:"❌ Character not found." });
-
-  // Fetch current claims from backend if not cached
-  if (!waifuClaims[from]) await fetchWaifus(from);
-
-  const key = character.name.toLowerCase().replace(/\s+/g, "");
-
-  if (waifuClaims[from][key]) {
-    const owner = waifuClaims[from][key];
-    return await sock.sendMessage(from,{
-      text: `💔 *${character.name}* is already claimed by @${owner.split("@")[0]}`,
-      mentions:[owner]
-    });
-  }
-
-  // 🔹 Add claim to backend
-  try {
-    const res = await axios.post("https://kiroflix.site/backend/add_waifu.php", {
-      group_id: from,
-      user_id: user,
-      character_name: character.name,
-      character_image: character.image,
-      anime: character.anime
-    });
-
-    if (!res.data.success) throw new Error(res.data.error || "Backend error");
-
-    // Update cache
-    waifuClaims[from][key] = user;
-
-    await sock.sendMessage(from, {
-      image: { url: character.image },
-      caption: `💖 *@${user.split("@")[0]} claimed ${character.name}!*  
-
-Anime: ${character.anime}
+// -------------------- ROUTED COMMANDS --------------------
+if (isGroup && await commandRouter.dispatch(sock, msg, text)) return;
 
-No one else can claim this waifu now.`,
-      mentions: [user]
-    });
-  } catch (err) {
-    console.error("❌ Failed to add waifu:", err.message);
-    await sock.sendMessage(from,{ text:"❌ Failed to claim waifu." });
-  }
-
-  return;
-}
 // -------------------- BAN COMMAND --------------------
 if (isGroup && text.toLowerCase().startsWith(".ban")) {
   await handleBanCommand(sock, msg, text);
@@ -8178,17 +11643,14 @@ if (isGroup && text.toLowerCase().startsWith(".unban")) {
 
   for (const userId of mentions) {
     try {
-      // Remove locally
-      if (bannedUsers[from]?.includes(userId)) {
-        bannedUsers[from] = bannedUsers[from].filter(u => u !== userId);
-      }
+      // Remove from backend first, the local ban stays if it fails
+      await removeBanFromBackend(from, userId);
 
-      // Remove from backend
-      await fetch(`${BACKEND_URL}removeBannedUser.php`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ group_id: from, user_id: userId })
-      });
+      // Remove locally (+ any pending tempban timer)
+      removeLocalBan(from, userId);
+      cancelSanction(from, "tempban", userId);
+
+      logModAction({ groupId: from, target: userId, actor: sender, module: "ban", action: "unban", reason: "Unbanned" });
 
       // Notify with mention
       await sock.sendMessage(from, {
@@ -8205,60 +11667,6 @@ if (isGroup && text.toLowerCase().startsWith(".unban")) {
     }
   }
 
-  return;
-}
-// -------------------- KICK COMMAND --------------------
-if (isGroup && text.toLowerCase().startsWith(".kick ")) {
-  const sender = msg.key.participant || msg.key.remoteJid;
-
-  // 1️⃣ Only admins can use
-  const admins = await getGroupAdmins(sock, from);
-  if (!admins.includes(sender)) {
-    await sock.sendMessage(from, {
-      text: "❌ Only group admins can use this command.",
-      mentions: [sender]
-    });
-    return;
-  }
-
-  // 2️⃣ Extract mentioned user(s)
-  const mentions = msg.message.extendedTextMessage?.contextInfo?.mentionedJid || [];
-  if (mentions.length === 0) {
-    await sock.sendMessage(from, {
-      text: "❌ You must mention a user to kick. Example:\n .kick @user",
-      mentions: [sender]
-    });
-    return;
-  }
-
-  // 3️⃣ Attempt to kick each mentioned user
-  for (const userId of mentions) {
-    try {
-      // Attempt kick
-      await sock.groupParticipantsUpdate(from, [userId], "remove");
-
-      // Find participant name if available, otherwise fallback to ID
-      const metadata = await sock.groupMetadata(from);
-
-const userName =
-metadata.participants?.find(p => p.id === userId)?.name ||
-userId.split("@")[0];
-
-      // ✅ Success message
-      // ✅ Success message with proper mention
-await sock.sendMessage(from, {
-  text: `🚫 @${userName} has been kicked from the group.`,
-  mentions: [userId]  // ⚠️ Add this line to properly tag the user
-});
-    } catch (err) {
-      // Only send this if the bot truly cannot kick (bot is not admin, or user is admin)
-      console.error(`Kick error for ${userId}:`, err);
-
-      await sock.sendMessage(from, {
-        text: `⚠️ Cannot remove ${userId.split("@")[0]}. Make sure the bot is an admin!`
-      });
-    }
-  }
   return;
 }
     // ✅ Group commands
@@ -8891,145 +12299,21 @@ if (isGroup && text === ".settings") {
 
   if (!adminIds.includes(msg.key.participant || from)) return;
 
-  const cache = groupCommandsCache[from] || {};
-
-  let msgText = `⚙️ *Group Settings*\n\n`;
-
-  for (const cmd in toggledCommands) {
-
-    let status = cache[cmd] || "on";
-
-    msgText += `• .${cmd} → ${status === "on" ? "✅ ON" : "❌ OFF"}\n`;
-  }
-
-  await sock.sendMessage(from, { text: msgText });
-  return;
-}
-// -------------------- GROUP NOTEPAD --------------------
-if (isGroup && text.toLowerCase().startsWith(".note")) {
-  const sender = msg.key.participant || msg.key.remoteJid;
-  const admins = await getGroupAdmins(sock, from);
-
-  if (!admins.includes(sender)) {
-    await sock.sendMessage(from, {
-      text: "❌ Only admins can manage group notes.",
-      mentions: [sender]
-    });
-    return;
-  }
-
-  const args = text.split(" ").slice(1); // Remove ".note"
-  const subCommand = args[0]?.toLowerCase();
-
-  if (!subCommand) {
-    await sock.sendMessage(from, {
-      text: "❌ Usage:\n.note add <text>\n.note list\n.note delete <id>",
-      mentions: [sender]
-    });
-    return;
-  }
-
-  try {
-    // -------------------- ADD NOTE --------------------
-    if (subCommand === "add") {
-      const noteText = args.slice(1).join(" ");
-      if (!noteText) {
-        await sock.sendMessage(from, { text: "❌ Please provide note text." });
-        return;
-      }
-
-      const res = await fetch(`${BACKEND_URL}addNote.php`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          group_id: from,
-          admin_id: sender,
-          text: noteText
-        })
-      });
-
-      const data = await res.json();
-      if (data.success) {
-        await sock.sendMessage(from, { text: `✅ Note added successfully (ID: ${data.note_id}).` });
-      } else {
-        await sock.sendMessage(from, { text: `⚠️ Failed to add note.` });
-      }
-      return;
-    }
-
-    // -------------------- LIST NOTES --------------------
-    // -------------------- LIST NOTES --------------------
-if (subCommand === "list") {
-  const res = await fetch(`${BACKEND_URL}getNotes.php?group_id=${encodeURIComponent(from)}`);
-  const data = await res.json();
-
-  if (!data.success || !data.notes.length) {
-    await sock.sendMessage(from, { text: "📝 No notes found for this group." });
-    return;
-  }
-
-  const groupMeta = await sock.groupMetadata(from);
-  const groupName = groupMeta.subject;
-
-  let message = `╭───〔 📝 *${groupName} Notepad* 〕───╮\n\n`;
-  let mentions = [];
-
-  for (const note of data.notes) {
-
-    let noteText = note.text.replace(/@(\d{5,15})/g, (_, id) => {
-      const jid = `${id}@s.whatsapp.net`;
-      mentions.push(jid);
-      return `@${id}`;
-    });
-
-    message += `✦ *Note ID:* ${note.id}\n`;
-    message += `📅 *Date:* ${note.date}\n`;
-    message += `📝 ${noteText}\n`;
-    message += `──────────────────\n`;
-  }
-
-  message += `╰───────────────╯`;
-
-  await sock.sendMessage(from, {
-    text: message,
-    mentions
-  });
-
+  await sock.sendMessage(from, { text: buildSettingsSummary(from) });
   return;
 }
-
-    // -------------------- DELETE NOTE --------------------
-    if (subCommand === "delete") {
-      const noteId = args[1];
-      if (!noteId) {
-        await sock.sendMessage(from, { text: "❌ Please provide note ID to delete." });
-        return;
-      }
-
-      const res = await fetch(`${BACKEND_URL}deleteNote.php`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ group_id: from, note_id: noteId })
-      });
-
-      const data = await res.json();
-      if (data.success) {
-        await sock.sendMessage(from, { text: `✅ Note ID ${noteId} deleted.` });
-      } else {
-        await sock.sendMessage(from, { text: `⚠️ Failed to delete note.` });
-      }
-      return;
-    }
-
-  } catch (err) {
-    console.error("❌ Group notepad error:", err);
-    await sock.sendMessage(from, { text: "⚠️ Error managing group notes." });
-  }
-}
 if (body.startsWith(".assistant")) {
 
 const question = body.replace(".assistant", "").trim()
 
+// 📅 Daily AI quota
+const quotaError = checkAIQuota(isGroup ? from : null, userId)
+if (quotaError) {
+await sock.sendMessage(from, { text: quotaError }, { quoted: msg })
+return
+}
+recordAIRequest(isGroup ? from : null, userId)
+
 // react to show assistant started
 await sock.sendMessage(from, {
 react: { text: "🤖", key: msg.key }
@@ -9167,7 +12451,7 @@ let response
 
 try {
 
-response = await askAI(aiPrompt)
+response = await askAI(aiPrompt, { task: "chat" })
 
 } catch {
 
@@ -9256,7 +12540,7 @@ return
 } catch(err) {
 console.log("Message error:",err.message);
 }
-  });
+  }
 
   console.log("🤖 Kiroflix Bot is running...");
 }
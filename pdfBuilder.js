@@ -0,0 +1,183 @@
+const axios = require("axios");
+const sharp = require("sharp");
+const PDFDocument = require("pdfkit");
+
+// -------------------- LOCAL PDF BUILDER --------------------
+// In-process replacement for the remote build_pdf_async service.
+//
+// 1. download the chapter images (bounded by the shared p-limit)
+// 2. normalize them with sharp: same width, white background, JPEG
+// 3. cut very tall webtoon strips into several pages
+// 4. one pdfkit page per image slice, sized to the image
+//    (bundles get a contents page and bookmarks per chapter)
+//
+// Images are compressed as soon as they are downloaded, so only the small
+// JPEGs stay in memory while the PDF is written.
+
+const PAGE_WIDTH = 800;        // px, wider images are scaled down
+const MAX_PAGE_HEIGHT = 2400;  // px, taller strips are split
+const JPEG_QUALITY = 75;
+const DOWNLOAD_RETRIES = 2;
+const DOWNLOAD_TIMEOUT = 30000;
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+async function downloadImage(url, headers) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { data } = await axios.get(url, {
+        responseType: "arraybuffer",
+        timeout: DOWNLOAD_TIMEOUT,
+        headers
+      });
+      return Buffer.from(data);
+    } catch (err) {
+      if (attempt >= DOWNLOAD_RETRIES) throw err;
+      await delay(1000 * (attempt + 1));
+    }
+  }
+}
+
+// One image → one or more JPEG slices of at most MAX_PAGE_HEIGHT
+async function normalizeImage(buffer) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: PAGE_WIDTH, withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  if (info.height <= MAX_PAGE_HEIGHT) {
+    return [{ buffer: data, width: info.width, height: info.height }];
+  }
+
+  const slices = [];
+
+  for (let top = 0; top < info.height; top += MAX_PAGE_HEIGHT) {
+    const height = Math.min(MAX_PAGE_HEIGHT, info.height - top);
+
+    const slice = await sharp(data)
+      .extract({ left: 0, top, width: info.width, height })
+      .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+      .toBuffer();
+
+    slices.push({ buffer: slice, width: info.width, height });
+  }
+
+  return slices;
+}
+
+// sections: [{ title, firstPage }] → table of contents page + PDF outline
+function writePDF(pages, { title = null, sections = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ autoFirstPage: false });
+    const chunks = [];
+
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // -------------------- TABLE OF CONTENTS --------------------
+    if (sections?.length) {
+      doc.addPage({ size: [PAGE_WIDTH, Math.max(600, 200 + sections.length * 30)], margin: 50 });
+      doc.fontSize(24).text(title || "Contents");
+      doc.moveDown();
+      doc.fontSize(14);
+
+      // +2: the contents page itself, pages are 1-based
+      for (const section of sections) {
+        doc.text(`${section.title}  ....  p. ${section.firstPage + 2}`);
+      }
+    }
+
+    pages.forEach((page, index) => {
+      doc.addPage({ size: [page.width, page.height], margin: 0 });
+      doc.image(page.buffer, 0, 0, { width: page.width, height: page.height });
+
+      for (const section of sections || []) {
+        if (section.firstPage === index) doc.outline.addItem(section.title);
+      }
+    });
+
+    doc.end();
+  });
+}
+
+// Downloads + normalizes a list of images, progress goes from `from` to `to` percent.
+// Returns { pages, failed }: images that couldn't be downloaded are skipped and counted
+async function collectPages(imageUrls, { limit, headers, onProgress, from = 0, to = 90 }) {
+  let done = 0;
+  let failed = 0;
+
+  const results = await Promise.all(imageUrls.map(url => limit(async () => {
+    try {
+      return await normalizeImage(await downloadImage(url, headers));
+    } catch (err) {
+      failed++;
+      console.error("❌ Local PDF image failed:", url, err.message);
+      return [];
+    } finally {
+      done++;
+      await onProgress(Math.floor(from + (done / imageUrls.length) * (to - from)));
+    }
+  })));
+
+  if (failed) console.log(`⚠️ Local PDF: ${failed}/${imageUrls.length} images skipped`);
+
+  return { pages: results.flat(), failed };
+}
+
+// limit: p-limit instance shared with the other downloads
+// onProgress(percent): called while images are processed, 100 when done
+// Returns { pdf, failed }, failed = images missing from the PDF
+async function buildPDFLocally(imageUrls, { limit, onProgress = () => {}, headers = {} } = {}) {
+  const { pages, failed } = await collectPages(imageUrls, { limit, headers, onProgress });
+
+  if (!pages.length) throw new Error("No chapter image could be downloaded");
+
+  const pdf = await writePDF(pages);
+
+  await onProgress(100);
+  console.log(`✅ Local PDF built: ${pages.length} pages, ${pdf.length} bytes`);
+
+  return { pdf, failed };
+}
+
+// Several chapters in one PDF, with a contents page and bookmarks.
+// sections: [{ title, imageUrls }], onProgress(percent, section)
+async function buildBundlePDFLocally(title, sections, { limit, onProgress = () => {}, headers = {} } = {}) {
+  const pages = [];
+  const toc = [];
+  let failed = 0;
+
+  for (const [index, section] of sections.entries()) {
+    const from = Math.floor((index / sections.length) * 90);
+    const to = Math.floor(((index + 1) / sections.length) * 90);
+
+    const { pages: sectionPages, failed: sectionFailed } = await collectPages(section.imageUrls, {
+      limit,
+      headers,
+      from,
+      to,
+      onProgress: percent => onProgress(percent, section)
+    });
+
+    failed += sectionFailed;
+
+    if (!sectionPages.length) continue;
+
+    toc.push({ title: section.title, firstPage: pages.length });
+    pages.push(...sectionPages);
+  }
+
+  if (!pages.length) throw new Error("No chapter image could be downloaded");
+
+  const pdf = await writePDF(pages, { title, sections: toc });
+
+  await onProgress(100);
+  console.log(`✅ Local bundle PDF built: ${toc.length} chapters, ${pages.length} pages, ${pdf.length} bytes`);
+
+  return { pdf, failed };
+}
+
+module.exports = { buildPDFLocally, buildBundlePDFLocally };
@@ -0,0 +1,95 @@
+const fs = require("fs");
+
+// -------------------- RELEASE TRACKER --------------------
+// Remembers which releases were already announced, one cursor per source:
+//
+//   {
+//     "episodes": { "lastCheck": 1700000000000, "ids": { "12345": 1700000000000 } },
+//     "chapters": { "lastCheck": 1700000000000, "ids": { "987-45": 1700000000000 } }
+//   }
+//
+// Stored on disk so a restart neither re-announces old releases nor skips the
+// ones that came out while the bot was offline. Only a source seen for the very
+// first time is seeded silently. Ids stay while the feed lists them, then are
+// pruned after keepDays (or when over maxIds).
+
+function createReleaseTracker({
+  file,
+  maxIds = 3000,   // per source, oldest dropped first
+  keepDays = 30,
+  log = console.error
+}) {
+  let sources = {};
+
+  try {
+    if (fs.existsSync(file)) sources = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    log("RELEASE TRACKER LOAD", err);
+  }
+
+  function save() {
+    try {
+      fs.writeFileSync(file, JSON.stringify(sources));
+    } catch (err) {
+      log("RELEASE TRACKER SAVE", err);
+    }
+  }
+
+  function prune(cursor) {
+    const minTime = Date.now() - keepDays * 24 * 60 * 60 * 1000;
+    let entries = Object.entries(cursor.ids).filter(([, time]) => time >= minTime);
+
+    if (entries.length > maxIds) {
+      entries = entries.sort((a, b) => a[1] - b[1]).slice(-maxIds);
+    }
+
+    cursor.ids = Object.fromEntries(entries);
+  }
+
+  // Splits a feed into releases not announced yet and marks them as seen.
+  // Returns { seeded, fresh, lastCheck }:
+  //   seeded    → first time this source is seen, nothing should be announced
+  //   lastCheck → previous successful check (0 if never), to detect downtime
+  function check(source, items, getId) {
+    const cursor = sources[source];
+    const now = Date.now();
+
+    if (!cursor) {
+      sources[source] = {
+        lastCheck: now,
+        ids: Object.fromEntries(items.map(item => [String(getId(item)), now]))
+      };
+      save();
+      return { seeded: true, fresh: [], lastCheck: 0 };
+    }
+
+    const seen = new Set();
+    const fresh = items.filter(item => {
+      const id = String(getId(item));
+      if (cursor.ids[id] || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+    const lastCheck = cursor.lastCheck || 0;
+
+    // every id still in the feed is refreshed, so a long-listed release
+    // isn't pruned and announced again
+    for (const item of items) cursor.ids[String(getId(item))] = now;
+    cursor.lastCheck = now;
+
+    prune(cursor);
+    save();
+
+    return { seeded: false, fresh, lastCheck };
+  }
+
+  function getCursor(source) {
+    const cursor = sources[source];
+    return cursor ? { lastCheck: cursor.lastCheck, count: Object.keys(cursor.ids).length } : null;
+  }
+
+  return { check, getCursor };
+}
+
+module.exports = { createReleaseTracker };
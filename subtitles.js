@@ -0,0 +1,154 @@
+// -------------------- SUBTITLES --------------------
+// WebVTT helpers for the subtitle translation pipeline:
+// cue-aware chunking, timestamp checks and SRT / ASS conversion.
+
+const VTT_TIMESTAMP = /^((?:\d{2}:)?\d{2}:\d{2})\.(\d{3})\s+-->\s+((?:\d{2}:)?\d{2}:\d{2})\.(\d{3})/;
+
+// "01:02.500" → "00:01:02.500"
+function fullTime(time, ms) {
+  return `${time.length === 5 ? `00:${time}` : time}.${ms}`;
+}
+
+// [{ start, end, text: [lines] }], times as HH:MM:SS.mmm, cue settings dropped
+function parseCues(vtt) {
+  const cues = [];
+
+  for (const block of vtt.replace(/\r/g, "").split(/\n{2,}/)) {
+    const lines = block.replace(/\n+$/, "").split("\n");
+    const timeIndex = lines.findIndex(line => VTT_TIMESTAMP.test(line.trim()));
+    if (timeIndex === -1) continue;
+
+    const [, start, startMs, end, endMs] = lines[timeIndex].trim().match(VTT_TIMESTAMP);
+
+    cues.push({
+      start: fullTime(start, startMs),
+      end: fullTime(end, endMs),
+      text: lines.slice(timeIndex + 1)
+    });
+  }
+
+  return cues;
+}
+
+function countCues(vtt) {
+  return vtt.split(/\r?\n/).filter(line => VTT_TIMESTAMP.test(line.trim())).length;
+}
+
+// Timing lines of a piece of VTT, normalized, to compare original vs translated
+function timestampsOf(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim().match(VTT_TIMESTAMP))
+    .filter(Boolean)
+    .map(([, start, startMs, end, endMs]) => `${fullTime(start, startMs)}-${fullTime(end, endMs)}`);
+}
+
+// null when the translation kept every timestamp in order, otherwise the problem
+function checkTimestamps(original, translated) {
+  const before = timestampsOf(original);
+  const after = timestampsOf(translated);
+
+  if (before.length !== after.length) return `${after.length}/${before.length} timestamps`;
+
+  const index = before.findIndex((time, i) => time !== after[i]);
+  return index === -1 ? null : `timestamp ${index + 1} changed (${before[index]} → ${after[index]})`;
+}
+
+// Line ranges [start, end] of about maxLines lines, always ending on the blank
+// line between two cues so no cue is cut in half
+function cueChunks(lines, maxLines = 100) {
+  const chunks = [];
+  let start = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (i - start + 1 >= maxLines && !lines[i].trim()) {
+      chunks.push([start, i]);
+      start = i + 1;
+    }
+  }
+
+  if (start < lines.length) chunks.push([start, lines.length - 1]);
+
+  // trailing blank lines alone would come back as an empty translation
+  return chunks.filter(([from, to]) => lines.slice(from, to + 1).some(line => line.trim()));
+}
+
+// Problems found in a stitched VTT, empty when it looks fine
+function validateVTT(vtt, baseVtt = null) {
+  const problems = [];
+
+  if (!/^WEBVTT/.test(vtt.trimStart())) problems.push("missing WEBVTT header");
+
+  const cues = countCues(vtt);
+  if (!cues) problems.push("no cues");
+
+  if (baseVtt) {
+    const expected = countCues(baseVtt);
+    if (cues !== expected) problems.push(`${cues}/${expected} cues`);
+
+    // cue blocks, not timing lines: catches cues glued together without their blank line
+    const blocks = parseCues(vtt).length;
+    const expectedBlocks = parseCues(baseVtt).length;
+    if (blocks !== expectedBlocks) problems.push(`${blocks}/${expectedBlocks} cue blocks`);
+  }
+
+  return problems;
+}
+
+// WebVTT → SubRip: numbered cues, "," in timestamps
+function vttToSrt(vtt) {
+  return parseCues(vtt)
+    .map((cue, i) =>
+      `${i + 1}\n${cue.start.replace(".", ",")} --> ${cue.end.replace(".", ",")}\n${cue.text.join("\n")}`
+    )
+    .join("\n\n") + "\n";
+}
+
+// "00:01:02.500" → "0:01:02.50"
+function assTime(time) {
+  const [hms, ms] = time.split(".");
+  return `${Number(hms.slice(0, 2))}${hms.slice(2)}.${ms.slice(0, 2)}`;
+}
+
+// <i>, <b>, <u> → ASS override tags, other VTT tags removed
+function assText(lines) {
+  return lines
+    .join("\\N")
+    .replace(/<(\/?)([ibu])>/g, (match, close, tag) => `{\\${tag}${close ? 0 : 1}}`)
+    .replace(/<[^>]+>/g, "");
+}
+
+// WebVTT → Advanced SubStation Alpha, one default style
+function vttToAss(vtt, title = "Kiroflix") {
+  const header =
+`[Script Info]
+Title: ${title}
+ScriptType: v4.00+
+PlayResX: 1920
+PlayResY: 1080
+WrapStyle: 0
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+`;
+
+  const events = parseCues(vtt).map(cue =>
+    `Dialogue: 0,${assTime(cue.start)},${assTime(cue.end)},Default,,0,0,0,,${assText(cue.text)}`
+  );
+
+  return header + events.join("\n") + "\n";
+}
+
+module.exports = {
+  parseCues,
+  countCues,
+  checkTimestamps,
+  cueChunks,
+  validateVTT,
+  vttToSrt,
+  vttToAss
+};